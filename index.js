@@ -6,6 +6,11 @@ import swaggerUI from "swagger-ui-express";
 import swaggerJsDoc from "swagger-jsdoc";
 
 import bodyParser from "body-parser";
+import { LOCAL_UPLOADS_DIR } from "./src/Routes/helpers/storage.js";
+import {
+  requestSchemas,
+  applyRequestSchemas,
+} from "./src/Routes/helpers/validation.js";
 
 // Import the router
 import usersRouter from "./src/Routes/users.js";
@@ -17,7 +22,10 @@ import quizRouter from "./src/Routes/quiz.js";
 import wordsRouter from "./src/Routes/word.js";
 import groqRouter from "./src/Routes/groq.js";
 import materialResourceRouter from "./src/Routes/materialResource.js";
-import emailRouter from "./src/Routes/mail.js";
+import badgeRouter from "./src/Routes/badge.js";
+import xpRouter from "./src/Routes/xp.js";
+import leaderboardRouter from "./src/Routes/leaderboard.js";
+import placementRouter from "./src/Routes/placement.js";
 
 // CDN CSS
 const CSS_URL =
@@ -25,6 +33,21 @@ const CSS_URL =
 
 const app = express();
 
+const apiRoutes = [
+  ["/api/users", usersRouter],
+  ["/api/speech", speechAzureRouter],
+  ["/api/course", courseRouter],
+  ["/api/practice", practiceRouter],
+  ["/api/quiz", quizRouter],
+  ["/api/word", wordsRouter],
+  ["/api/chat", groqRouter],
+  ["/api/material-resource", materialResourceRouter],
+  ["/api/badge", badgeRouter],
+  ["/api/xp", xpRouter],
+  ["/api/leaderboard", leaderboardRouter],
+  ["/api/placement", placementRouter],
+];
+
 app.use(bodyParser.json()); // to use body object in requests
 const PORT = process.env.PORT || 2001;
 dotenv.config();
@@ -45,6 +68,8 @@ const options = {
       { url: "https://lingo-pal-backend-v1.vercel.app", description: "Cloud" },
     ],
     components: {
+      // Request schemas named by the routers, see helpers/validation.js
+      schemas: requestSchemas,
       securitySchemes: {
         bearerAuth: {
           type: "http",
@@ -63,6 +88,8 @@ const options = {
 };
 
 const specs = swaggerJsDoc(options);
+// Document the inputs each route validates
+applyRequestSchemas(specs, apiRoutes);
 
 app.use(
   "/api-docs",
@@ -70,15 +97,10 @@ app.use(
   swaggerUI.setup(specs, { customCssUrl: CSS_URL })
 );
 
+// Files saved by the local storage driver (development)
+app.use("/uploads", express.static(LOCAL_UPLOADS_DIR));
+
 app.use("/", helloRouter);
-app.use("/api/users", usersRouter);
-app.use("/api/speech", speechAzureRouter);
-app.use("/api/course", courseRouter);
-app.use("/api/practice", practiceRouter);
-app.use("/api/quiz", quizRouter);
-app.use("/api/word", wordsRouter);
-app.use("/api/chat", groqRouter);
-app.use("/api/material-resource", materialResourceRouter);
-app.use("/api/mail", emailRouter);
+apiRoutes.forEach(([path, router]) => app.use(path, router));
 
 app.listen(PORT, () => console.log(`Server runs on port ${PORT}`));
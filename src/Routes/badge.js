@@ -0,0 +1,127 @@
+import express from "express";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { verifyToken } from "./helpers/middleware.js";
+import { listUserBadges } from "./helpers/badges.js";
+import { validate, objectSchema, textSchema } from "./helpers/validation.js";
+
+dotenvConfig();
+const badgeRouter = express.Router();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+/**
+ * @swagger
+ * /api/badge:
+ *   get:
+ *     summary: Retrieve the user's badges
+ *     description: Earned badges (with earned_at and whether the unlock was shown to the user) and locked badges with the progress towards them.
+ *     tags:
+ *      - Badge
+ *     responses:
+ *       '200':
+ *         description: Earned and locked badges.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 earned:
+ *                   type: array
+ *                 locked:
+ *                   type: array
+ *                 unseen_count:
+ *                   type: integer
+ *       '500':
+ *         description: Internal server error
+ */
+badgeRouter.get("/", verifyToken, async (req, res) => {
+  try {
+    const badges = await listUserBadges(req.user.userId);
+    const earned = badges.filter((badge) => badge.is_earned);
+
+    return res.status(200).json({
+      status: 200,
+      body: {
+        earned,
+        locked: badges.filter((badge) => !badge.is_earned),
+        unseen_count: earned.filter((badge) => !badge.is_seen).length,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching badges:", error);
+    return res.status(500).json({
+      status: 500,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/badge/seen:
+ *   post:
+ *     summary: Mark badge unlocks as seen
+ *     description: Call after showing the "unlocked!" toast. Without badge_codes every earned badge is marked as seen.
+ *     tags:
+ *      - Badge
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               badge_codes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       '200':
+ *         description: Badges marked as seen.
+ *       '400':
+ *         description: badge_codes is not an array.
+ *       '500':
+ *         description: Internal server error
+ */
+badgeRouter.post(
+  "/seen",
+  verifyToken,
+  validate({
+    body: objectSchema({
+      badge_codes: { type: "array", items: textSchema },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { badge_codes } = req.body;
+
+      let query = db
+        .from("t_user_badge")
+        .update({ seen_at: new Date().toISOString() })
+        .eq("user_id", req.user.userId)
+        .is("seen_at", null);
+
+      if (badge_codes) {
+        query = query.in("badge_code", badge_codes);
+      }
+
+      const { error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Badges marked as seen",
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default badgeRouter;
@@ -1,7 +1,15 @@
 import express from "express";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
-import { verifyToken } from "./helpers/middleware.js";
+import { verifyToken, resolveActingUser } from "./helpers/middleware.js";
+import {
+  loadCourseMap,
+  getCourseAccess,
+  rejectLockedCourse,
+} from "./helpers/courseUnlock.js";
+import { progression } from "./helpers/progression.js";
+import { awardBadges } from "./helpers/badges.js";
+import { validate, objectSchema, idSchema } from "./helpers/validation.js";
 
 dotenvConfig();
 const courseRouter = express.Router();
@@ -45,6 +53,70 @@ courseRouter.get("/", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/course/map:
+ *   get:
+ *     summary: Retrieve the user's course map
+ *     description: Every course with its state for the user (locked, unlocked or completed). Locked courses list why they are locked (points, level or prerequisite courses).
+ *     tags:
+ *      - Course
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *         description: Defaults to the signed-in user. Only admins may pass another user's id.
+ *     responses:
+ *       '200':
+ *         description: A JSON array of courses with state and locked_reasons.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   course_id:
+ *                     type: integer
+ *                   state:
+ *                     type: string
+ *                     enum: [locked, unlocked, completed]
+ *                   locked_reasons:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [points, level, prerequisite]
+ *                         message:
+ *                           type: string
+ *       '500':
+ *         description: Internal server error
+ */
+courseRouter.get(
+  "/map",
+  verifyToken,
+  validate({ query: objectSchema({ user_id: idSchema }) }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const courseMap = await loadCourseMap(req.actingUserId);
+
+      return res.status(200).json({
+        status: 200,
+        body: courseMap,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/course/progress:
@@ -58,7 +130,7 @@ courseRouter.get("/", verifyToken, async (req, res) => {
  *         name: user_id
  *         schema:
  *           type: string
- *         description: Filter users by user id
+ *         description: Defaults to the signed-in user. Only admins may pass another user's id.
  *     responses:
  *       '200':
  *         description: A JSON array of courses progress.
@@ -67,28 +139,34 @@ courseRouter.get("/", verifyToken, async (req, res) => {
  *             schema:
  *               type: array
  */
-courseRouter.get("/progress", verifyToken, async (req, res) => {
-  try {
-    const { user_id } = req.query;
-    let { data: progress } = await db
-      .from("t_user_course_progress")
-      .select(
-        "progress_course_id, user_id, course_id, progress_poin, is_active, is_course_completed"
-      )
-      .eq("user_id", user_id)
-      .order("progress_course_id", { ascending: true });
+courseRouter.get(
+  "/progress",
+  verifyToken,
+  validate({ query: objectSchema({ user_id: idSchema }) }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const user_id = req.actingUserId;
+      let { data: progress } = await db
+        .from("t_user_course_progress")
+        .select(
+          "progress_course_id, user_id, course_id, progress_poin, is_active, is_course_completed"
+        )
+        .eq("user_id", user_id)
+        .order("progress_course_id", { ascending: true });
 
-    return res.status(200).json({
-      status: 200,
-      body: progress,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+      return res.status(200).json({
+        status: 200,
+        body: progress,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -107,6 +185,7 @@ courseRouter.get("/progress", verifyToken, async (req, res) => {
  *             properties:
  *               user_id:
  *                 type: integer
+ *                 description: Defaults to the signed-in user. Only admins may pass another user's id.
  *               course_id:
  *                 type: integer
  *     responses:
@@ -122,6 +201,12 @@ courseRouter.get("/progress", verifyToken, async (req, res) => {
  *                   example: Course progress updated successfully.
  *                 body:
  *                   type: array
+ *       '400':
+ *         description: Missing course_id.
+ *       '403':
+ *         description: The course is locked for the user; locked_reasons says why.
+ *       '404':
+ *         description: Course not found.
  *       '500':
  *         description: Internal server error
  *         content:
@@ -133,30 +218,49 @@ courseRouter.get("/progress", verifyToken, async (req, res) => {
  *                   type: string
  *                   example: Internal server error.
  */
-courseRouter.post("/update-progress", verifyToken, async (req, res) => {
-  try {
-    const { user_id, course_id } = req.body;
+courseRouter.post(
+  "/update-progress",
+  verifyToken,
+  validate({
+    body: objectSchema({ user_id: idSchema, course_id: idSchema }, [
+      "course_id",
+    ]),
+  }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const user_id = req.actingUserId;
+      const { course_id } = req.body;
 
-    // Update course progress using RPC (remote stored procedure)
-    await db.rpc("update_course_progress", {
-      i_user_id: user_id,
-      current_course_id: course_id,
-    });
+      const course = await getCourseAccess(user_id, course_id);
 
-    // Update user progress using RPC (remote stored procedure)
-    await db.rpc("update_user_progress", { i_user_id: user_id });
+      if (!course) {
+        return res.status(404).json({
+          status: 404,
+          error: "Course not found",
+        });
+      }
 
-    return res.status(200).json({
-      status: 200,
-      body: "Successfully update course progress",
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+      if (rejectLockedCourse(res, course)) {
+        return;
+      }
+
+      const progress = await progression.activateCourse(user_id, course_id);
+
+      return res.status(200).json({
+        status: 200,
+        body: "Successfully update course progress",
+        data: progress,
+        unlocked_badges: await awardBadges(user_id),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -179,25 +283,29 @@ courseRouter.post("/update-progress", verifyToken, async (req, res) => {
  *       '500':
  *         description: Internal server error.
  */
-courseRouter.get("/fetch-course-dropdown", async (req, res) => {
-  try {
-    const { course_category_id } = req.query;
+courseRouter.get(
+  "/fetch-course-dropdown",
+  validate({ query: objectSchema({ course_category_id: idSchema }) }),
+  async (req, res) => {
+    try {
+      const { course_category_id } = req.query;
 
-    const data = await db.rpc("fetch_practice_and_course", {
-      i_course_category_id: Number(course_category_id),
-    }); // Pass category filter to DB
+      const data = await db.rpc("fetch_practice_and_course", {
+        i_course_category_id: course_category_id || null,
+      }); // Pass category filter to DB
 
-    return res.status(200).json({
-      status: 200,
-      body: data.data,
-    });
-  } catch (error) {
-    console.error("Error fetching courses:", error);
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+      return res.status(200).json({
+        status: 200,
+        body: data.data,
+      });
+    } catch (error) {
+      console.error("Error fetching courses:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 export default courseRouter;
@@ -2,6 +2,8 @@ import { Groq } from "groq-sdk";
 import { config as dotenvConfig } from "dotenv";
 import express from "express";
 import { verifyToken } from "./helpers/middleware.js";
+import { recordXpEvent, XP_SOURCES, CHAT_MESSAGE_XP } from "./helpers/xp.js";
+import { validate, objectSchema, textSchema } from "./helpers/validation.js";
 
 dotenvConfig();
 
@@ -12,6 +14,18 @@ const groq = new Groq({
 
 let conversationHistory = [];
 
+const messageSchema = objectSchema(
+  {
+    role: {
+      type: "string",
+      enum: ["system", "user", "assistant"],
+      description: "The role of the message sender",
+    },
+    content: { ...textSchema, description: "The content of the message" },
+  },
+  ["role", "content"]
+);
+
 /**
  * @swagger
  * /api/chat/chat-completion:
@@ -56,26 +70,50 @@ let conversationHistory = [];
  *       500:
  *         description: Internal Server Error
  */
-groqRouter.post("/chat-completion", verifyToken, async (req, res) => {
-  try {
-    const { conversation } = req.body;
+groqRouter.post(
+  "/chat-completion",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      {
+        // A single message is accepted as well as a list
+        conversation: {
+          anyOf: [
+            { type: "array", items: messageSchema, minItems: 1 },
+            messageSchema,
+          ],
+          description: "Array of messages in the conversation",
+        },
+      },
+      ["conversation"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { conversation } = req.body;
 
-    // Ensure conversation is an array
-    const messages = Array.isArray(conversation)
-      ? conversation
-      : [conversation];
+      // Ensure conversation is an array
+      const messages = Array.isArray(conversation)
+        ? conversation
+        : [conversation];
 
-    // Add current conversation to history
-    conversationHistory = [...conversationHistory, ...messages];
+      // Add current conversation to history
+      conversationHistory = [...conversationHistory, ...messages];
 
-    const chatCompletion = await getGroqChatCompletion(conversationHistory);
+      const chatCompletion = await getGroqChatCompletion(conversationHistory);
 
-    res.json({ message: chatCompletion.choices[0]?.message?.content || "" });
-  } catch (error) {
-    console.error("Error" + error);
-    res.status(500).send({ error: "An error occurred" });
+      await recordXpEvent(req.user.userId, {
+        source: XP_SOURCES.CHAT,
+        amount: CHAT_MESSAGE_XP,
+      });
+
+      res.json({ message: chatCompletion.choices[0]?.message?.content || "" });
+    } catch (error) {
+      console.error("Error" + error);
+      res.status(500).send({ error: "An error occurred" });
+    }
   }
-});
+);
 
 async function getGroqChatCompletion(conversation) {
   return groq.chat.completions.create({
@@ -0,0 +1,71 @@
+import jwt from "jsonwebtoken";
+import { config as dotenvConfig } from "dotenv";
+
+dotenvConfig();
+
+export const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const PASSWORD_RESET = "password-reset";
+
+/**
+ * Read the user id a token claims to be for, without trusting it yet.
+ * Returns null when the token is malformed or meant for another purpose.
+ */
+export const readTokenUserId = (token, purpose) => {
+  const decoded = jwt.decode(token);
+
+  return decoded && decoded.purpose === purpose ? decoded.userId : null;
+};
+
+// Signing with the current password hash makes a reset token single-use:
+// once the password changes, every outstanding link stops verifying.
+const passwordResetSecret = (user) =>
+  `${process.env.JWT_SECRET}${user.password}`;
+
+export const signPasswordResetToken = (user) =>
+  jwt.sign(
+    { userId: user.user_id, purpose: PASSWORD_RESET },
+    passwordResetSecret(user),
+    { expiresIn: `${PASSWORD_RESET_TTL_MINUTES}m` }
+  );
+
+export const readPasswordResetUserId = (token) =>
+  readTokenUserId(token, PASSWORD_RESET);
+
+export const isPasswordResetTokenValid = (token, user) => {
+  try {
+    const decoded = jwt.verify(token, passwordResetSecret(user));
+    return (
+      decoded.purpose === PASSWORD_RESET && decoded.userId === user.user_id
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+export const EMAIL_VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+const VERIFY_EMAIL = "verify-email";
+
+// The email is part of the claims so a link stops working if it changes
+export const signEmailVerificationToken = (user) =>
+  jwt.sign(
+    { userId: user.user_id, email: user.email, purpose: VERIFY_EMAIL },
+    process.env.JWT_SECRET,
+    { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+  );
+
+/**
+ * Resolve the claims of a verification token, or null when it is invalid,
+ * expired or meant for another purpose.
+ */
+export const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === VERIFY_EMAIL ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,61 @@
+import sharp from "sharp";
+
+export const AVATAR_SIZES = [64, 128, 256, 512];
+// The size written to m_users.image
+export const DEFAULT_AVATAR_SIZE = 256;
+export const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+export const AVATAR_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+const AVATAR_DIR = "avatars";
+
+/**
+ * Storage folder of a new upload of the user's avatar. Every upload gets
+ * its own folder, so a new image never reuses a URL browsers have cached.
+ */
+export const newAvatarFolder = (userId) =>
+  `${AVATAR_DIR}/${userId}/${Date.now()}`;
+
+/**
+ * Storage paths of every size of the user's uploaded avatar, given the URL
+ * saved in m_users.image. Images that are not one of the user's own uploads
+ * (none, or a picture from the OIDC provider) have no files: [].
+ */
+export const avatarFilePaths = (imageUrl, userId) => {
+  const match = new RegExp(`(${AVATAR_DIR}/${userId}/\\d+)/\\d+\\.webp$`).exec(
+    imageUrl || ""
+  );
+
+  return match ? AVATAR_SIZES.map((size) => `${match[1]}/${size}.webp`) : [];
+};
+
+/**
+ * Turn an uploaded image into square WebP avatars, one per AVATAR_SIZES
+ * entry. The format is checked from the file contents rather than the
+ * declared mime type. EXIF orientation is applied and all metadata (GPS,
+ * camera, ...) is dropped. Resolves to null when the file is not a
+ * supported image.
+ */
+export const processAvatar = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return null;
+  }
+
+  return Promise.all(
+    AVATAR_SIZES.map(async (size) => ({
+      size,
+      buffer: await sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 85 })
+        .toBuffer(),
+    }))
+  );
+};
@@ -0,0 +1,245 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { loadStreak } from "./streak.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+/**
+ * Badge rules. A badge is earned once the user's stat for `metric` reaches
+ * `threshold`; the stats are computed by loadBadgeStats. New badges only
+ * need an entry here.
+ */
+export const BADGES = [
+  {
+    code: "first_practice_passed",
+    name: "First Steps",
+    description: "Pass your first practice",
+    metric: "practices_passed",
+    threshold: 1,
+  },
+  {
+    code: "ten_practices_passed",
+    name: "Practice Makes Perfect",
+    description: "Pass 10 practices",
+    metric: "practices_passed",
+    threshold: 10,
+  },
+  {
+    code: "first_course_completed",
+    name: "Course Graduate",
+    description: "Complete a course",
+    metric: "courses_completed",
+    threshold: 1,
+  },
+  {
+    code: "streak_7_days",
+    name: "On Fire",
+    description: "Study 7 days in a row",
+    metric: "streak_days",
+    threshold: 7,
+  },
+  {
+    code: "streak_30_days",
+    name: "Unstoppable",
+    description: "Study 30 days in a row",
+    metric: "streak_days",
+    threshold: 30,
+  },
+  {
+    code: "words_reviewed_100",
+    name: "Word Collector",
+    description: "Review 100 different words",
+    metric: "words_reviewed",
+    threshold: 100,
+  },
+  {
+    code: "pronunciation_90",
+    name: "Clear Speaker",
+    description: "Get a pronunciation score of 90 or more",
+    metric: "best_pronunciation_score",
+    threshold: 90,
+  },
+  {
+    code: "points_1000",
+    name: "Point Hunter",
+    description: "Collect 1000 points",
+    metric: "total_poin",
+    threshold: 1000,
+  },
+];
+
+const BADGE_COLUMNS = "badge_code, earned_at, seen_at";
+
+const countRows = async (query) => {
+  const { count, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+const selectRows = async (query) => {
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Compute every metric used by BADGES for one user.
+ */
+export const loadBadgeStats = async (userId) => {
+  const head = { count: "exact", head: true };
+
+  const [
+    practicesPassed,
+    coursesCompleted,
+    wordsReviewed,
+    progress,
+    assessments,
+    streak,
+  ] = await Promise.all([
+    countRows(
+      db
+        .from("t_user_practice_progress")
+        .select("progress_practice_id", head)
+        .eq("user_id", userId)
+        .eq("is_passed", true)
+    ),
+    countRows(
+      db
+        .from("t_user_course_progress")
+        .select("progress_course_id", head)
+        .eq("user_id", userId)
+        .eq("is_course_completed", true)
+    ),
+    countRows(
+      db
+        .from("t_user_word_card")
+        .select("card_id", head)
+        .eq("user_id", userId)
+        .not("last_reviewed_at", "is", null)
+    ),
+    selectRows(
+      db.from("t_user_progress").select("total_poin").eq("user_id", userId)
+    ),
+    selectRows(
+      db
+        .from("t_speech_assessment")
+        .select("pronunciation_score")
+        .eq("user_id", userId)
+        .order("pronunciation_score", { ascending: false })
+        .limit(1)
+    ),
+    loadStreak(userId),
+  ]);
+
+  return {
+    practices_passed: practicesPassed,
+    courses_completed: coursesCompleted,
+    words_reviewed: wordsReviewed,
+    total_poin: progress[0] ? progress[0].total_poin || 0 : 0,
+    best_pronunciation_score: assessments[0]
+      ? assessments[0].pronunciation_score
+      : 0,
+    streak_days: streak.current_streak,
+  };
+};
+
+const describeBadge = ({ code, name, description }) => ({
+  code,
+  name,
+  description,
+});
+
+/**
+ * Award every badge the user has earned but not received yet. Resolves to
+ * the newly unlocked badges, which callers return as `unlocked_badges` so
+ * the app can show a toast. Awarding never fails the request that triggered
+ * it: errors are logged and an empty list is returned.
+ */
+export const awardBadges = async (userId) => {
+  try {
+    const [stats, earned] = await Promise.all([
+      loadBadgeStats(userId),
+      selectRows(
+        db.from("t_user_badge").select("badge_code").eq("user_id", userId)
+      ),
+    ]);
+
+    const earnedCodes = new Set(earned.map((row) => row.badge_code));
+    const unlocked = BADGES.filter(
+      (badge) =>
+        !earnedCodes.has(badge.code) && stats[badge.metric] >= badge.threshold
+    );
+
+    if (unlocked.length === 0) {
+      return [];
+    }
+
+    const earnedAt = new Date().toISOString();
+    const { data: inserted, error } = await db
+      .from("t_user_badge")
+      .upsert(
+        unlocked.map((badge) => ({
+          user_id: userId,
+          badge_code: badge.code,
+          earned_at: earnedAt,
+        })),
+        { onConflict: "user_id,badge_code", ignoreDuplicates: true }
+      )
+      .select("badge_code");
+
+    if (error) {
+      throw error;
+    }
+
+    // A concurrent request may have awarded some of them already
+    const insertedCodes = new Set(inserted.map((row) => row.badge_code));
+    const newlyUnlocked = unlocked
+      .filter((badge) => insertedCodes.has(badge.code))
+      .map(describeBadge);
+
+    return newlyUnlocked;
+  } catch (error) {
+    console.error("Error awarding badges:", error);
+    return [];
+  }
+};
+
+/**
+ * Every badge with the user's state: earned ones with earned_at and seen,
+ * locked ones with the progress towards them.
+ */
+export const listUserBadges = async (userId) => {
+  const [stats, earned] = await Promise.all([
+    loadBadgeStats(userId),
+    selectRows(
+      db.from("t_user_badge").select(BADGE_COLUMNS).eq("user_id", userId)
+    ),
+  ]);
+
+  const earnedByCode = new Map(earned.map((row) => [row.badge_code, row]));
+
+  return BADGES.map((badge) => {
+    const row = earnedByCode.get(badge.code);
+
+    return {
+      ...describeBadge(badge),
+      is_earned: Boolean(row),
+      earned_at: row ? row.earned_at : null,
+      is_seen: Boolean(row && row.seen_at),
+      progress: {
+        current: Math.min(stats[badge.metric], badge.threshold),
+        target: badge.threshold,
+      },
+    };
+  });
+};
@@ -0,0 +1,207 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const COURSE_STATES = {
+  LOCKED: "locked",
+  UNLOCKED: "unlocked",
+  COMPLETED: "completed",
+};
+
+const COURSE_COLUMNS =
+  "course_id, course_name, course_description, min_poin, user_level_id, course_category_id, category:course_category_id(course_category_name)";
+
+/**
+ * Work out the state of every course for one user.
+ *   courses:        [{ course_id, min_poin, user_level_id, ... }]
+ *   prerequisites:  [{ course_id, prerequisite_course_id }]
+ *   levels:         [{ user_level_id, min_poin }]
+ *   userProgress:   { total_poin, user_level_id } or null
+ *   courseProgress: [{ course_id, is_course_completed, unlocked_at }]
+ * A course once unlocked for the user (unlocked_at is set when they start
+ * it, make progress on it or are placed into it) stays unlocked, so raising
+ * a requirement never takes a started course away. Levels are ranked by
+ * their min_poin, as the progression service does.
+ */
+export const computeCourseMap = ({
+  courses,
+  prerequisites,
+  levels,
+  userProgress,
+  courseProgress,
+}) => {
+  const totalPoin = (userProgress && userProgress.total_poin) || 0;
+  const levelRanks = new Map(
+    [...levels]
+      .sort((a, b) => (a.min_poin || 0) - (b.min_poin || 0))
+      .map((level, index) => [String(level.user_level_id), index])
+  );
+  const rankOf = (levelId) =>
+    levelId && levelRanks.has(String(levelId))
+      ? levelRanks.get(String(levelId))
+      : -1;
+  const levelId = (userProgress && userProgress.user_level_id) || null;
+  const progressByCourse = new Map(
+    courseProgress.map((progress) => [String(progress.course_id), progress])
+  );
+  const courseNames = new Map(
+    courses.map((course) => [String(course.course_id), course.course_name])
+  );
+
+  return courses.map((course) => {
+    const progress = progressByCourse.get(String(course.course_id));
+    const lockedReasons = [];
+
+    if (course.min_poin && totalPoin < course.min_poin) {
+      lockedReasons.push({
+        type: "points",
+        message: `Requires ${course.min_poin} points`,
+        required: course.min_poin,
+        current: totalPoin,
+      });
+    }
+
+    if (
+      course.user_level_id &&
+      rankOf(levelId) < rankOf(course.user_level_id)
+    ) {
+      lockedReasons.push({
+        type: "level",
+        message: "Requires a higher level",
+        required: course.user_level_id,
+        current: levelId,
+      });
+    }
+
+    prerequisites
+      .filter((p) => String(p.course_id) === String(course.course_id))
+      .forEach(({ prerequisite_course_id }) => {
+        const prerequisite = progressByCourse.get(
+          String(prerequisite_course_id)
+        );
+
+        if (!prerequisite || !prerequisite.is_course_completed) {
+          const name = courseNames.get(String(prerequisite_course_id));
+          lockedReasons.push({
+            type: "prerequisite",
+            message: `Complete ${name || "a previous course"} first`,
+            course_id: prerequisite_course_id,
+            course_name: name || null,
+          });
+        }
+      });
+
+    let state = COURSE_STATES.LOCKED;
+    if (progress && progress.is_course_completed) {
+      state = COURSE_STATES.COMPLETED;
+    } else if ((progress && progress.unlocked_at) || !lockedReasons.length) {
+      state = COURSE_STATES.UNLOCKED;
+    }
+
+    return {
+      ...course,
+      state,
+      locked_reasons: state === COURSE_STATES.LOCKED ? lockedReasons : [],
+    };
+  });
+};
+
+/**
+ * Load everything computeCourseMap needs for a user and return the map.
+ */
+export const loadCourseMap = async (userId) => {
+  const [courses, prerequisites, levels, userProgress, courseProgress] =
+    await Promise.all([
+      db
+        .from("m_course")
+        .select(COURSE_COLUMNS)
+        .order("course_id", { ascending: true }),
+      db
+        .from("m_course_prerequisite")
+        .select("course_id, prerequisite_course_id"),
+      db.from("m_user_level").select("user_level_id, min_poin"),
+      db
+        .from("t_user_progress")
+        .select("total_poin, user_level_id")
+        .eq("user_id", userId)
+        .limit(1),
+      db
+        .from("t_user_course_progress")
+        .select("course_id, is_course_completed, unlocked_at")
+        .eq("user_id", userId),
+    ]);
+
+  for (const result of [
+    courses,
+    prerequisites,
+    levels,
+    userProgress,
+    courseProgress,
+  ]) {
+    if (result.error) {
+      throw result.error;
+    }
+  }
+
+  return computeCourseMap({
+    courses: courses.data,
+    prerequisites: prerequisites.data,
+    levels: levels.data,
+    userProgress: userProgress.data[0] || null,
+    courseProgress: courseProgress.data,
+  });
+};
+
+/**
+ * The map entry of one course for a user, or null if the course does not
+ * exist.
+ */
+export const getCourseAccess = async (userId, courseId) => {
+  const courseMap = await loadCourseMap(userId);
+
+  return (
+    courseMap.find((course) => String(course.course_id) === String(courseId)) ||
+    null
+  );
+};
+
+/**
+ * Same as getCourseAccess, for the course a practice belongs to.
+ */
+export const getPracticeCourseAccess = async (userId, practiceId) => {
+  const { data: practice, error } = await db
+    .from("m_practice")
+    .select("course_id")
+    .eq("practice_id", practiceId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (practice.length === 0) {
+    return null;
+  }
+
+  return getCourseAccess(userId, practice[0].course_id);
+};
+
+/**
+ * Send the 403 for a locked course. Returns true when the response was sent.
+ */
+export const rejectLockedCourse = (res, course) => {
+  if (!course || course.state !== COURSE_STATES.LOCKED) {
+    return false;
+  }
+
+  res.status(403).json({
+    status: 403,
+    error: "Course is locked",
+    course_id: course.course_id,
+    locked_reasons: course.locked_reasons,
+  });
+  return true;
+};
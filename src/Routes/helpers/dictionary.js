@@ -0,0 +1,94 @@
+export const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+export const PARTS_OF_SPEECH = [
+  "noun",
+  "pronoun",
+  "verb",
+  "adjective",
+  "adverb",
+  "preposition",
+  "conjunction",
+  "interjection",
+  "determiner",
+  "phrase",
+];
+
+// Columns returned by the word list; the detail route returns everything
+export const WORD_SUMMARY_COLUMNS =
+  "word_id, word, alphabet, part_of_speech, ipa, cefr_level, translation_indonesian";
+export const WORD_DETAIL_COLUMNS = `${WORD_SUMMARY_COLUMNS}, definition, examples`;
+
+const OPTIONAL_TEXT_FIELDS = ["definition", "ipa", "translation_indonesian"];
+
+/**
+ * Validate and normalize a dictionary entry from the admin API. With
+ * `partial` only the given fields are checked (updates). Resolves to
+ * { entry, errors } where errors is a list of { field, message }.
+ */
+export const normalizeWordEntry = (input, { partial = false } = {}) => {
+  const entry = {};
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has("word")) {
+    if (typeof input.word !== "string" || input.word.trim() === "") {
+      errors.push({ field: "word", message: "word is required" });
+    } else {
+      entry.word = input.word.trim();
+      // The alphabet index is always the first letter of the word
+      entry.alphabet = entry.word[0].toUpperCase();
+    }
+  }
+
+  if (has("part_of_speech") && input.part_of_speech === null) {
+    entry.part_of_speech = null;
+  } else if (has("part_of_speech")) {
+    const partOfSpeech = String(input.part_of_speech).toLowerCase();
+    if (PARTS_OF_SPEECH.includes(partOfSpeech)) {
+      entry.part_of_speech = partOfSpeech;
+    } else {
+      errors.push({
+        field: "part_of_speech",
+        message: `part_of_speech must be one of ${PARTS_OF_SPEECH.join(", ")}`,
+      });
+    }
+  }
+
+  if (has("cefr_level") && input.cefr_level === null) {
+    entry.cefr_level = null;
+  } else if (has("cefr_level")) {
+    const level = String(input.cefr_level).toUpperCase();
+    if (CEFR_LEVELS.includes(level)) {
+      entry.cefr_level = level;
+    } else {
+      errors.push({
+        field: "cefr_level",
+        message: `cefr_level must be one of ${CEFR_LEVELS.join(", ")}`,
+      });
+    }
+  }
+
+  if (has("examples") && input.examples === null) {
+    entry.examples = null;
+  } else if (has("examples")) {
+    if (
+      Array.isArray(input.examples) &&
+      input.examples.every((example) => typeof example === "string")
+    ) {
+      entry.examples = input.examples;
+    } else {
+      errors.push({
+        field: "examples",
+        message: "examples must be an array of sentences",
+      });
+    }
+  }
+
+  OPTIONAL_TEXT_FIELDS.forEach((field) => {
+    if (has(field)) {
+      entry[field] = input[field] === null ? null : String(input[field]);
+    }
+  });
+
+  return { entry, errors };
+};
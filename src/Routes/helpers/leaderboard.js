@@ -0,0 +1,272 @@
+import moment from "moment";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { fetchAllRows } from "./paging.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const LEADERBOARD_PERIODS = {
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  ALL_TIME: "all_time",
+};
+
+// Scores not tied to a category are stored under this category id
+export const ALL_CATEGORIES = 0;
+
+const ALL_TIME_START = "1970-01-01";
+
+const ENTRY_COLUMNS =
+  "user_id, score, user_level_id, user:user_id!inner(name, image), level:user_level_id(user_level_name, user_level_code)";
+
+// Banned users and users suspended right now are left off every board, the
+// same users that may not sign in. Applied to the joined m_users row.
+const listableUserFilter = () =>
+  `status.eq.active,suspended_until.lt.${new Date().toISOString()}`;
+
+/**
+ * First day (UTC) of the period that contains `now`. Weeks start on Monday.
+ */
+export const periodStart = (period, now = new Date()) => {
+  if (period === LEADERBOARD_PERIODS.WEEKLY) {
+    return moment.utc(now).startOf("isoWeek").format("YYYY-MM-DD");
+  }
+
+  if (period === LEADERBOARD_PERIODS.MONTHLY) {
+    return moment.utc(now).startOf("month").format("YYYY-MM-DD");
+  }
+
+  return ALL_TIME_START;
+};
+
+const selectRows = async (query) => {
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Recompute the user's rows in t_leaderboard_score for the current week,
+ * the current month and all time, overall and per course category. Weekly
+ * and monthly boards rank XP earned in the period (see xp.js); the all-time
+ * board ranks points. Only the user's own rows are read and written, so
+ * reading a board never has to aggregate over all users.
+ */
+export const refreshLeaderboardScores = async (userId) => {
+  const weekStart = periodStart(LEADERBOARD_PERIODS.WEEKLY);
+  const monthStart = periodStart(LEADERBOARD_PERIODS.MONTHLY);
+  const since = weekStart < monthStart ? weekStart : monthStart;
+
+  const [events, progress, courseProgress, users] = await Promise.all([
+    fetchAllRows(() =>
+      db
+        .from("t_xp_event")
+        .select("amount, course_category_id, created_at")
+        .eq("user_id", userId)
+        .gt("amount", 0)
+        .gte("created_at", moment.utc(since, "YYYY-MM-DD").toISOString())
+        .order("xp_event_id", { ascending: true })
+    ),
+    selectRows(
+      db
+        .from("t_user_progress")
+        .select("total_poin, user_level_id")
+        .eq("user_id", userId)
+        .limit(1)
+    ),
+    selectRows(
+      db
+        .from("t_user_course_progress")
+        .select("progress_poin, course:course_id(course_category_id)")
+        .eq("user_id", userId)
+    ),
+    selectRows(
+      db
+        .from("m_users")
+        .select("leaderboard_opt_out")
+        .eq("user_id", userId)
+        .limit(1)
+    ),
+  ]);
+
+  // scores[period][categoryId] = score
+  const scores = {
+    [LEADERBOARD_PERIODS.WEEKLY]: { [ALL_CATEGORIES]: 0 },
+    [LEADERBOARD_PERIODS.MONTHLY]: { [ALL_CATEGORIES]: 0 },
+    [LEADERBOARD_PERIODS.ALL_TIME]: {
+      [ALL_CATEGORIES]: progress[0] ? progress[0].total_poin || 0 : 0,
+    },
+  };
+  const add = (period, categoryId, amount) => {
+    scores[period][categoryId] = (scores[period][categoryId] || 0) + amount;
+  };
+
+  events.forEach((event) => {
+    const day = moment.utc(event.created_at).format("YYYY-MM-DD");
+    const periods = [
+      day >= weekStart && LEADERBOARD_PERIODS.WEEKLY,
+      day >= monthStart && LEADERBOARD_PERIODS.MONTHLY,
+    ].filter(Boolean);
+
+    periods.forEach((period) => {
+      add(period, ALL_CATEGORIES, event.amount);
+      if (event.course_category_id) {
+        add(period, event.course_category_id, event.amount);
+      }
+    });
+  });
+
+  courseProgress.forEach((row) => {
+    if (row.course && row.course.course_category_id) {
+      add(
+        LEADERBOARD_PERIODS.ALL_TIME,
+        row.course.course_category_id,
+        Number(row.progress_poin) || 0
+      );
+    }
+  });
+
+  const starts = {
+    [LEADERBOARD_PERIODS.WEEKLY]: weekStart,
+    [LEADERBOARD_PERIODS.MONTHLY]: monthStart,
+    [LEADERBOARD_PERIODS.ALL_TIME]: ALL_TIME_START,
+  };
+  const updatedAt = new Date().toISOString();
+  const rows = Object.entries(scores).flatMap(([period, byCategory]) =>
+    Object.entries(byCategory).map(([categoryId, score]) => ({
+      user_id: userId,
+      period,
+      period_start: starts[period],
+      course_category_id: Number(categoryId),
+      score,
+      user_level_id: progress[0] ? progress[0].user_level_id : null,
+      is_hidden: Boolean(users[0] && users[0].leaderboard_opt_out),
+      updated_at: updatedAt,
+    }))
+  );
+
+  const { error } = await db.from("t_leaderboard_score").upsert(rows, {
+    onConflict: "user_id,period,period_start,course_category_id",
+  });
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Hide or show all of a user's leaderboard rows.
+ */
+export const setLeaderboardOptOut = async (userId, optOut) => {
+  const { error } = await db
+    .from("m_users")
+    .update({ leaderboard_opt_out: optOut })
+    .eq("user_id", userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: scoresError } = await db
+    .from("t_leaderboard_score")
+    .update({ is_hidden: optOut })
+    .eq("user_id", userId);
+
+  if (scoresError) {
+    throw scoresError;
+  }
+};
+
+/**
+ * The top `limit` entries of a board and the caller's own standing. Ranks
+ * are competition ranks (ties share a rank) and are computed by counting
+ * the visible rows with a higher score, which the
+ * (period, period_start, course_category_id, score) index answers directly.
+ * Blocked users are not listed or counted.
+ */
+export const loadLeaderboard = async ({
+  period,
+  categoryId = ALL_CATEGORIES,
+  levelId,
+  limit,
+  userId,
+}) => {
+  const start = periodStart(period);
+  const board = (query) => {
+    let filtered = query
+      .eq("period", period)
+      .eq("period_start", start)
+      .eq("course_category_id", categoryId);
+
+    if (levelId) {
+      filtered = filtered.eq("user_level_id", levelId);
+    }
+
+    return filtered;
+  };
+
+  const [top, mine] = await Promise.all([
+    selectRows(
+      board(db.from("t_leaderboard_score").select(ENTRY_COLUMNS))
+        .eq("is_hidden", false)
+        .or(listableUserFilter(), { referencedTable: "user" })
+        .gt("score", 0)
+        .order("score", { ascending: false })
+        .order("updated_at", { ascending: true })
+        .limit(limit)
+    ),
+    selectRows(
+      board(db.from("t_leaderboard_score").select("score, is_hidden")).eq(
+        "user_id",
+        userId
+      )
+    ),
+  ]);
+
+  const entries = [];
+  top.forEach((row, index) => {
+    const previous = entries[index - 1];
+    entries.push({
+      rank:
+        previous && previous.score === row.score ? previous.rank : index + 1,
+      user_id: row.user_id,
+      name: row.user ? row.user.name : null,
+      image: row.user ? row.user.image : null,
+      level: row.level,
+      score: row.score,
+    });
+  });
+
+  let me = { rank: null, score: 0, is_hidden: false };
+  if (mine[0]) {
+    me = { rank: null, score: mine[0].score, is_hidden: mine[0].is_hidden };
+
+    if (!mine[0].is_hidden && mine[0].score > 0) {
+      const { count, error } = await board(
+        db
+          .from("t_leaderboard_score")
+          .select("user_id, user:user_id!inner(status)", {
+            count: "exact",
+            head: true,
+          })
+      )
+        .eq("is_hidden", false)
+        .or(listableUserFilter(), { referencedTable: "user" })
+        .gt("score", mine[0].score);
+
+      if (error) {
+        throw error;
+      }
+
+      me.rank = count + 1;
+    }
+  }
+
+  return { period, period_start: start, entries, me };
+};
@@ -0,0 +1,137 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Failures allowed before backoff starts. IPs get more room because many
+// learners can share one school or campus network.
+const FREE_ATTEMPTS = { email: 3, ip: 20 };
+const BASE_LOCK_SECONDS = 30;
+const MAX_LOCK_SECONDS = 15 * 60;
+// Failure counters start over after this long without a failed attempt
+const RESET_AFTER_SECONDS = 24 * 60 * 60;
+
+const attemptKeys = (email, ipAddress) => {
+  const keys = [{ type: "email", key: `email:${(email || "").toLowerCase()}` }];
+
+  if (ipAddress) {
+    keys.push({ type: "ip", key: `ip:${ipAddress}` });
+  }
+
+  return keys;
+};
+
+const lockSeconds = (type, failedCount) => {
+  const overLimit = failedCount - FREE_ATTEMPTS[type];
+
+  if (overLimit <= 0) {
+    return 0;
+  }
+
+  return Math.min(BASE_LOCK_SECONDS * 2 ** (overLimit - 1), MAX_LOCK_SECONDS);
+};
+
+const fetchAttempts = async (keys) => {
+  const { data, error } = await db
+    .from("t_login_attempt")
+    .select("attempt_key, failed_count, locked_until, last_failed_at")
+    .in(
+      "attempt_key",
+      keys.map(({ key }) => key)
+    );
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const isStale = (attempt, now) =>
+  now - new Date(attempt.last_failed_at).getTime() > RESET_AFTER_SECONDS * 1000;
+
+/**
+ * Check whether sign in is currently locked for an email or IP address.
+ * Resolves to { locked, retryAfter } with retryAfter in seconds.
+ */
+export const checkLoginThrottle = async (email, ipAddress) => {
+  const attempts = await fetchAttempts(attemptKeys(email, ipAddress));
+  const now = Date.now();
+
+  const lockedUntil = Math.max(
+    0,
+    ...attempts
+      .filter((attempt) => attempt.locked_until)
+      .map((attempt) => new Date(attempt.locked_until).getTime())
+  );
+
+  if (lockedUntil <= now) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  return { locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+};
+
+/**
+ * Count a failed sign in against the email and the IP address. Resolves to
+ * { emailLocked } which is true the first time this email becomes locked in
+ * the current run of failures, so callers can notify the owner once.
+ */
+export const recordLoginFailure = async (email, ipAddress) => {
+  const keys = attemptKeys(email, ipAddress);
+  const attempts = await fetchAttempts(keys);
+  const now = Date.now();
+  let emailLocked = false;
+
+  const rows = keys.map(({ type, key }) => {
+    const previous = attempts.find((attempt) => attempt.attempt_key === key);
+    const failedCount =
+      previous && !isStale(previous, now) ? previous.failed_count + 1 : 1;
+    const seconds = lockSeconds(type, failedCount);
+
+    if (
+      type === "email" &&
+      seconds > 0 &&
+      lockSeconds(type, failedCount - 1) === 0
+    ) {
+      emailLocked = true;
+    }
+
+    return {
+      attempt_key: key,
+      failed_count: failedCount,
+      last_failed_at: new Date(now).toISOString(),
+      locked_until: seconds
+        ? new Date(now + seconds * 1000).toISOString()
+        : null,
+    };
+  });
+
+  const { error } = await db
+    .from("t_login_attempt")
+    .upsert(rows, { onConflict: "attempt_key" });
+
+  if (error) {
+    throw error;
+  }
+
+  return { emailLocked };
+};
+
+/**
+ * Forget the failures of an email after a successful sign in.
+ */
+export const clearLoginFailures = async (email) => {
+  const [{ key }] = attemptKeys(email);
+
+  const { error } = await db
+    .from("t_login_attempt")
+    .delete()
+    .eq("attempt_key", key);
+
+  if (error) {
+    throw error;
+  }
+};
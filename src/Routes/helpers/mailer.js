@@ -0,0 +1,98 @@
+import nodemailer from "nodemailer";
+import { config as dotenvConfig } from "dotenv";
+
+dotenvConfig();
+
+export const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.SMTP_GMAIL_USERNAME,
+    pass: process.env.SMTP_GMAIL_PASSKEY,
+  },
+});
+
+const FROM = `"No Reply - [LingoPal]" <${process.env.SMTP_GMAIL_USERNAME}>`;
+
+const BUTTON_STYLE =
+  "display: inline-block; padding: 10px 20px; color: #fff; background-color: #638889; text-decoration: none; border-radius: 4px; font-size: 16px;";
+
+export const sendVerificationEmail = (to, verificationUrl) =>
+  transporter.sendMail({
+    from: FROM,
+    to,
+    subject: "LingoPal Email Verification 🤖🔠",
+    html: `
+      <p>Hello! 👋</p>
+      <p>You're almost there! Just one final step to complete your registration with <strong>LingoPal</strong>.</p>
+      <p>Click the link below to verify your email and start your English learning journey:</p>
+      <p>
+        <a href="${verificationUrl}" style="${BUTTON_STYLE}">Verify Email</a>
+      </p>
+      <p>We're looking forward to having you with us! 😄</p>
+      <p>Thanks,</p>
+      <p><strong>LingoPal team 🤖</strong></p>
+    `,
+  });
+
+export const sendPasswordResetEmail = (to, resetUrl, expiresInMinutes) =>
+  transporter.sendMail({
+    from: FROM,
+    to,
+    subject: "Reset your LingoPal password 🔑",
+    html: `
+      <p>Hello! 👋</p>
+      <p>We received a request to reset the password of your <strong>LingoPal</strong> account.</p>
+      <p>Click the link below to choose a new password. The link can only be used once and expires in ${expiresInMinutes} minutes.</p>
+      <p>
+        <a href="${resetUrl}" style="${BUTTON_STYLE}">Reset Password</a>
+      </p>
+      <p>If you didn't ask for this, you can safely ignore this email. Your password won't change.</p>
+      <p>Thanks,</p>
+      <p><strong>LingoPal team 🤖</strong></p>
+    `,
+  });
+
+export const sendAccountLockedEmail = (to) =>
+  transporter.sendMail({
+    from: FROM,
+    to,
+    subject: "Sign in to your LingoPal account was paused 🔒",
+    html: `
+      <p>Hello! 👋</p>
+      <p>We noticed several failed sign in attempts on your <strong>LingoPal</strong> account, so we paused sign in for a few minutes.</p>
+      <p>If this was you, just wait a moment and try again, or reset your password from the sign in screen.</p>
+      <p>If it wasn't you, we recommend resetting your password. Your account is still safe.</p>
+      <p>Thanks,</p>
+      <p><strong>LingoPal team 🤖</strong></p>
+    `,
+  });
+
+export const sendAccountDeletionScheduledEmail = (to, scheduledAt) =>
+  transporter.sendMail({
+    from: FROM,
+    to,
+    subject: "Your LingoPal account is scheduled for deletion",
+    html: `
+      <p>Hello! 👋</p>
+      <p>We received a request to delete your <strong>LingoPal</strong> account.</p>
+      <p>Your account and all of your learning progress will be permanently deleted on <strong>${scheduledAt}</strong>.</p>
+      <p>Changed your mind? Sign in to the app and cancel the deletion before then.</p>
+      <p>Thanks,</p>
+      <p><strong>LingoPal team 🤖</strong></p>
+    `,
+  });
+
+export const sendAccountDeletedEmail = (to) =>
+  transporter.sendMail({
+    from: FROM,
+    to,
+    subject: "Your LingoPal account has been deleted",
+    html: `
+      <p>Hello! 👋</p>
+      <p>Your <strong>LingoPal</strong> account and all of its data have now been permanently deleted.</p>
+      <p>Thank you for learning with us. You're always welcome back! 😄</p>
+      <p><strong>LingoPal team 🤖</strong></p>
+    `,
+  });
+
+export default transporter;
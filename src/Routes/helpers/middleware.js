@@ -1,9 +1,15 @@
 import jwt from "jsonwebtoken";
+import multer from "multer";
 import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { isSessionActive } from "./session.js";
+import { PERMISSIONS, resolveRole, hasPermission } from "./roles.js";
 
 dotenvConfig();
 
-export const verifyToken = (req, res, next) => {
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization;
 
   if (!token) {
@@ -12,14 +18,177 @@ export const verifyToken = (req, res, next) => {
       .json({ error: "Access denied. Token not provided." });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token.split(" ")[1], process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token.split(" ")[1], process.env.JWT_SECRET);
   } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Token expired." });
+    }
+
     console.error("Error verifying token:", error.message);
-    return res.status(403).json({ error: "Invalid token." });
+    return res.status(401).json({ error: "Invalid token." });
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: "Session has been revoked." });
+    }
+  } catch (error) {
+    console.error("Error checking session:", error.message);
+    return res.status(500).json({ error: "Internal server error." });
   }
+
+  req.user = decoded;
+  next();
+};
+
+/**
+ * verifyToken for routes that also work signed out: requests without an
+ * Authorization header go through without `req.user`. A token that is sent
+ * must still be valid.
+ */
+export const optionalToken = (req, res, next) =>
+  req.headers.authorization ? verifyToken(req, res, next) : next();
+
+/**
+ * Only let scheduled jobs through: they send `Authorization: Bearer
+ * <CRON_SECRET>`. Without a configured secret every request is refused.
+ */
+export const requireCronSecret = (req, res, next) => {
+  if (
+    !process.env.CRON_SECRET ||
+    req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return res.status(401).json({ error: "Unauthorized." });
+  }
+
+  next();
+};
+
+/**
+ * Look up the current role of a user in m_users. Resolves to null when the
+ * user no longer exists.
+ */
+export const fetchUserRole = async (userId) => {
+  const { data: users, error } = await db
+    .from("m_users")
+    .select("user_id, role, fgAdmin")
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return users && users.length > 0 ? resolveRole(users[0]) : null;
+};
+
+/**
+ * Authorize the request against a permission. Must run after verifyToken;
+ * the role is read from m_users on every request so demotions apply at once.
+ */
+export const requirePermission = (permission) => async (req, res, next) => {
+  if (!req.user || !req.user.userId) {
+    return res
+      .status(401)
+      .json({ error: "Access denied. Token not provided." });
+  }
+
+  try {
+    const role = await fetchUserRole(req.user.userId);
+
+    if (!role) {
+      return res.status(401).json({ error: "User no longer exists." });
+    }
+
+    if (!hasPermission(role, permission)) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden. Insufficient permissions." });
+    }
+
+    req.user.role = role;
+    next();
+  } catch (error) {
+    console.error("Error checking permissions:", error.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+};
+
+/**
+ * Resolve the user a request acts on into `req.actingUserId`. Must run after
+ * verifyToken. Learners always act on themselves; a different `user_id` in
+ * the query (GET) or body is only honoured for roles that manage users.
+ */
+export const resolveActingUser = async (req, res, next) => {
+  const source = req.method === "GET" ? req.query : req.body;
+  const requestedUserId = source ? source.user_id : undefined;
+  const tokenUserId = req.user.userId;
+
+  if (
+    requestedUserId === undefined ||
+    requestedUserId === null ||
+    requestedUserId === "" ||
+    String(requestedUserId) === String(tokenUserId)
+  ) {
+    req.actingUserId = tokenUserId;
+    return next();
+  }
+
+  try {
+    const role = await fetchUserRole(tokenUserId);
+
+    if (!hasPermission(role, PERMISSIONS.USERS_MANAGE)) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden. You can only access your own data." });
+    }
+
+    req.actingUserId = requestedUserId;
+    next();
+  } catch (error) {
+    console.error("Error checking permissions:", error.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+};
+
+/**
+ * Accept one multipart file in memory under `field` as `req.file`. Oversized
+ * files get a 413 and files with another mime type a 400.
+ */
+export const singleFileUpload = (field, { maxBytes, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, callback) =>
+      callback(null, !mimeTypes || mimeTypes.includes(file.mimetype)),
+  }).single(field);
+
+  return (req, res, next) =>
+    upload(req, res, (error) => {
+      if (error && error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `File is too large. The limit is ${Math.floor(
+            maxBytes / 1024 / 1024
+          )} MB.`,
+        });
+      }
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (!req.file) {
+        const allowed = mimeTypes ? ` (${mimeTypes.join(", ")})` : "";
+        return res.status(400).json({
+          error: `A file${allowed} is required in '${field}'.`,
+        });
+      }
+
+      next();
+    });
 };
 
 export default verifyToken;
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import fs from "fs";
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import { config as dotenvConfig } from "dotenv";
+
+dotenvConfig();
+
+const JWKS_URI =
+  process.env.OIDC_JWKS_URI || "https://www.googleapis.com/oauth2/v3/certs";
+// A local key set file takes precedence over JWKS_URI (tests, offline dev)
+const JWKS_PATH = process.env.OIDC_JWKS_PATH;
+const ISSUERS = (
+  process.env.OIDC_ISSUERS || "https://accounts.google.com,accounts.google.com"
+)
+  .split(",")
+  .map((issuer) => issuer.trim());
+const CLIENT_IDS = (process.env.OIDC_CLIENT_IDS || "")
+  .split(",")
+  .map((clientId) => clientId.trim())
+  .filter(Boolean);
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+const loadKeySet = async (forceRefresh = false) => {
+  if (cachedKeys && !forceRefresh && Date.now() - cachedAt < JWKS_CACHE_MS) {
+    return cachedKeys;
+  }
+
+  const keySet = JWKS_PATH
+    ? JSON.parse(fs.readFileSync(JWKS_PATH, "utf8"))
+    : (await axios.get(JWKS_URI)).data;
+
+  cachedKeys = keySet.keys || [];
+  cachedAt = Date.now();
+  return cachedKeys;
+};
+
+// Providers rotate keys, so an unknown kid triggers one refetch
+const findSigningKey = async (kid) => {
+  let key = (await loadKeySet()).find((jwk) => jwk.kid === kid);
+
+  if (!key) {
+    key = (await loadKeySet(true)).find((jwk) => jwk.kid === kid);
+  }
+
+  return key || null;
+};
+
+/**
+ * Verify an OIDC ID token (signature, issuer, audience, expiry) and return
+ * its claims. Resolves to null when the token is not acceptable; throws on
+ * configuration or network errors.
+ */
+export const verifyIdToken = async (idToken) => {
+  if (CLIENT_IDS.length === 0) {
+    throw new Error("OIDC_CLIENT_IDS is not configured.");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return null;
+  }
+
+  const jwk = await findSigningKey(decoded.header.kid);
+  if (!jwk) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(
+      idToken,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      { algorithms: ["RS256"], issuer: ISSUERS, audience: CLIENT_IDS }
+    );
+  } catch (error) {
+    return null;
+  }
+
+  // Google sends email_verified as a boolean, some providers as a string
+  if (!claims.email || String(claims.email_verified) !== "true") {
+    return null;
+  }
+
+  return claims;
+};
@@ -0,0 +1,27 @@
+// Supabase caps responses at 1000 rows, so large reads are paged
+export const READ_PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, page by page. buildQuery returns a new query
+ * each time; it should have an order so pages do not overlap.
+ */
+export const fetchAllRows = async (buildQuery) => {
+  let rows = [];
+
+  for (let from = 0; ; from += READ_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + READ_PAGE_SIZE - 1
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    rows = rows.concat(data);
+
+    if (data.length < READ_PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
@@ -0,0 +1,121 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { publishedOnly } from "./revisions.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const SESSION_STATUS = {
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+};
+
+export const PLACEMENT_MAX_ITEMS = 12;
+// The test ends early once the difficulty has turned around this many times
+export const PLACEMENT_MAX_REVERSALS = 5;
+// Candidate items read per level before one is drawn at random
+const ITEM_POOL_SIZE = 200;
+
+/**
+ * Staircase step: one level up after a correct answer, one down after a
+ * wrong one, staying within [0, levelCount - 1].
+ */
+export const nextLevelIndex = (current, isCorrect, levelCount) =>
+  Math.min(Math.max(current + (isCorrect ? 1 : -1), 0), levelCount - 1);
+
+/**
+ * Items where the answer flipped from correct to wrong or back. Their level
+ * is where the learner's ability was crossed.
+ */
+export const reversalItems = (items) =>
+  items.filter(
+    (item, index) =>
+      index > 0 && item.is_correct !== items[index - 1].is_correct
+  );
+
+export const isPlacementDone = (items) =>
+  items.length >= PLACEMENT_MAX_ITEMS ||
+  reversalItems(items).length >= PLACEMENT_MAX_REVERSALS;
+
+/**
+ * Estimated level index: the mean level of the reversals, rounded down so
+ * the learner is placed at a level they passed, or where the staircase ended
+ * when the answers never turned around (all right or all wrong).
+ */
+export const estimateLevelIndex = (items, currentIndex) => {
+  const reversals = reversalItems(items);
+
+  if (reversals.length < 2) {
+    return currentIndex;
+  }
+
+  return Math.floor(
+    reversals.reduce((sum, item) => sum + item.level_index, 0) /
+      reversals.length
+  );
+};
+
+const PLACEMENT_ITEM_COLUMNS =
+  "quiz_id, type, question, choices, answer_key, config, practice:practice_id!inner(course:course_id!inner(user_level_id))";
+
+/**
+ * Draw a random unused published quiz at the given level. Levels without
+ * items fall back to the nearest level that has some. levels is ordered from
+ * lowest.
+ * Resolves to { quiz, levelIndex } or null when every item is used up.
+ */
+export const drawPlacementItem = async (levels, levelIndex, usedQuizIds) => {
+  const used = new Set(usedQuizIds.map(String));
+  const byDistance = levels
+    .map((level, index) => ({ level, index }))
+    .sort(
+      (a, b) =>
+        Math.abs(a.index - levelIndex) - Math.abs(b.index - levelIndex) ||
+        a.index - b.index
+    );
+
+  for (const { level, index } of byDistance) {
+    const { data: quizzes, error } = await publishedOnly(
+      db.from("m_quiz").select(PLACEMENT_ITEM_COLUMNS)
+    )
+      .eq("practice.course.user_level_id", level.user_level_id)
+      // Matching and speaking quizzes have no answer_key and are left out
+      .not("answer_key", "is", null)
+      .limit(ITEM_POOL_SIZE);
+
+    if (error) {
+      throw error;
+    }
+
+    const candidates = quizzes.filter(
+      (quiz) => !used.has(String(quiz.quiz_id))
+    );
+
+    if (candidates.length > 0) {
+      const quiz = candidates[Math.floor(Math.random() * candidates.length)];
+      return { quiz, levelIndex: index };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether the user still has a placement test to take, i.e. never completed
+ * one. Signup and /api/users/status report it so clients can send new users
+ * to POST /api/placement/start.
+ */
+export const isPlacementPending = async (userId) => {
+  const { count, error } = await db
+    .from("t_placement_session")
+    .select("session_id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .eq("status", SESSION_STATUS.COMPLETED);
+
+  if (error) {
+    throw error;
+  }
+
+  return !count;
+};
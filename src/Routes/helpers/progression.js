@@ -0,0 +1,310 @@
+import {
+  createSupabaseProgressionStore,
+  createUnitOfWork,
+} from "./progressionStore.js";
+
+const timestamp = () =>
+  new Date().toLocaleString("id-ID", {
+    timeZone: "UTC",
+  });
+
+const sumPoin = (rows) =>
+  rows.reduce((sum, row) => sum + (Number(row.progress_poin) || 0), 0);
+
+/**
+ * Progression rules on top of a store (see progressionStore.js):
+ *   - a course is worth the sum of its practices' points,
+ *   - a course is completed once every one of its practices is passed,
+ *   - the user's total is the sum of their course points,
+ *   - the user's level is the highest level whose min_poin the total
+ *     reaches. Levels only go up.
+ * If a step of a public method fails, the writes it made so far are undone
+ * and the error is rethrown to the caller. This is not a transaction: the
+ * undo is a second set of writes (see createUnitOfWork), so a concurrent
+ * call for the same user can interleave with it and lose points, and a
+ * failed undo is only logged and leaves the partial writes in place.
+ */
+export const createProgressionService = (store) => {
+  const run = async (work) => {
+    const tx = createUnitOfWork(store);
+
+    try {
+      return await work(tx);
+    } catch (error) {
+      try {
+        await tx.rollback();
+      } catch (rollbackError) {
+        console.error("Error rolling back progression:", rollbackError);
+      }
+      throw error;
+    }
+  };
+
+  const sortedLevels = async (tx) =>
+    (await tx.select("m_user_level")).sort(
+      (a, b) => (a.min_poin || 0) - (b.min_poin || 0)
+    );
+
+  const ensureUserProgress = async (tx, userId) => {
+    const [existing] = await tx.select("t_user_progress", { user_id: userId });
+
+    if (existing) {
+      return existing;
+    }
+
+    const [firstLevel] = await sortedLevels(tx);
+
+    return tx.insert("t_user_progress", {
+      user_id: userId,
+      total_poin: 0,
+      user_level_id: firstLevel ? firstLevel.user_level_id : null,
+      progress_course_id: null,
+    });
+  };
+
+  const ensureCourseProgress = async (tx, userId, courseId) => {
+    const [existing] = await tx.select("t_user_course_progress", {
+      user_id: userId,
+      course_id: courseId,
+    });
+
+    if (existing && existing.unlocked_at) {
+      return existing;
+    }
+
+    // Callers check the course is open to the user first, so this is where
+    // it is marked unlocked for good. Rows from before unlocked_at existed
+    // get it here too.
+    if (existing) {
+      const [updated] = await tx.update(
+        "t_user_course_progress",
+        { progress_course_id: existing.progress_course_id },
+        { unlocked_at: new Date().toISOString() }
+      );
+      return updated;
+    }
+
+    return tx.insert("t_user_course_progress", {
+      user_id: userId,
+      course_id: courseId,
+      progress_poin: 0,
+      is_active: false,
+      is_course_completed: false,
+      unlocked_at: new Date().toISOString(),
+    });
+  };
+
+  const recalculateCourse = async (tx, userId, courseId) => {
+    const courseProgress = await ensureCourseProgress(tx, userId, courseId);
+    const practices = await tx.select("m_practice", { course_id: courseId });
+    const practiceProgress = practices.length
+      ? await tx.select("t_user_practice_progress", {
+          user_id: userId,
+          practice_id: practices.map((practice) => practice.practice_id),
+        })
+      : [];
+
+    const passed = new Set(
+      practiceProgress
+        .filter((progress) => progress.is_passed)
+        .map((progress) => String(progress.practice_id))
+    );
+    const isCompleted =
+      practices.length > 0 &&
+      practices.every((practice) => passed.has(String(practice.practice_id)));
+
+    const [updated] = await tx.update(
+      "t_user_course_progress",
+      { progress_course_id: courseProgress.progress_course_id },
+      {
+        progress_poin: sumPoin(practiceProgress),
+        // Completion is kept even if a practice is later removed or reset
+        is_course_completed: courseProgress.is_course_completed || isCompleted,
+      }
+    );
+    return updated;
+  };
+
+  const recalculateUser = async (tx, userId) => {
+    const userProgress = await ensureUserProgress(tx, userId);
+    const courseProgress = await tx.select("t_user_course_progress", {
+      user_id: userId,
+    });
+    const totalPoin = sumPoin(courseProgress);
+
+    const levels = await sortedLevels(tx);
+    const currentIndex = levels.findIndex(
+      (level) =>
+        String(level.user_level_id) === String(userProgress.user_level_id)
+    );
+    const reachedIndex = levels.reduce(
+      (reached, level, index) =>
+        totalPoin >= (level.min_poin || 0) ? index : reached,
+      -1
+    );
+    const level = levels[Math.max(currentIndex, reachedIndex)];
+
+    const [updated] = await tx.update(
+      "t_user_progress",
+      { progress_id: userProgress.progress_id },
+      {
+        total_poin: totalPoin,
+        user_level_id: level ? level.user_level_id : userProgress.user_level_id,
+      }
+    );
+    return updated;
+  };
+
+  return {
+    /**
+     * Create the progress row of a new user at the lowest level.
+     */
+    initializeUser: (userId) => run((tx) => ensureUserProgress(tx, userId)),
+
+    /**
+     * Place the user at levelId and start the given courses so they are
+     * unlocked regardless of points. Placement never lowers a level.
+     */
+    applyPlacement: (userId, levelId, courseIds) =>
+      run(async (tx) => {
+        const userProgress = await ensureUserProgress(tx, userId);
+
+        for (const courseId of courseIds) {
+          await ensureCourseProgress(tx, userId, courseId);
+        }
+
+        const levels = await sortedLevels(tx);
+        const indexOf = (id) =>
+          levels.findIndex(
+            (level) => String(level.user_level_id) === String(id)
+          );
+        const placedLevelId =
+          indexOf(levelId) > indexOf(userProgress.user_level_id)
+            ? levelId
+            : userProgress.user_level_id;
+
+        const [updated] = await tx.update(
+          "t_user_progress",
+          { progress_id: userProgress.progress_id },
+          { user_level_id: placedLevelId }
+        );
+        return updated;
+      }),
+
+    /**
+     * Make courseId the user's active course, starting it if needed.
+     */
+    activateCourse: (userId, courseId) =>
+      run(async (tx) => {
+        const courseProgress = await ensureCourseProgress(tx, userId, courseId);
+        const userProgress = await ensureUserProgress(tx, userId);
+
+        const active = await tx.select("t_user_course_progress", {
+          user_id: userId,
+          is_active: true,
+        });
+        for (const row of active) {
+          if (row.progress_course_id !== courseProgress.progress_course_id) {
+            await tx.update(
+              "t_user_course_progress",
+              { progress_course_id: row.progress_course_id },
+              { is_active: false }
+            );
+          }
+        }
+
+        await tx.update(
+          "t_user_course_progress",
+          { progress_course_id: courseProgress.progress_course_id },
+          { is_active: true }
+        );
+        await tx.update(
+          "t_user_progress",
+          { progress_id: userProgress.progress_id },
+          { progress_course_id: courseProgress.progress_course_id }
+        );
+
+        return {
+          course_progress: await recalculateCourse(tx, userId, courseId),
+          user_progress: await recalculateUser(tx, userId),
+        };
+      }),
+
+    /**
+     * Save the user's progress on a practice and roll it up into the course
+     * and user totals. With keepBest the stored score never goes down and a
+     * passed practice stays passed. Only the given fields are written.
+     * poin_gained is how much the practice's score went up.
+     */
+    recordPracticeProgress: (userId, practiceId, fields, { keepBest } = {}) =>
+      run(async (tx) => {
+        const [practice] = await tx.select("m_practice", {
+          practice_id: practiceId,
+        });
+
+        if (!practice) {
+          return null;
+        }
+
+        const [existing] = await tx.select("t_user_practice_progress", {
+          user_id: userId,
+          practice_id: practiceId,
+        });
+
+        const changes = Object.fromEntries(
+          Object.entries(fields).filter(([, value]) => value !== undefined)
+        );
+        changes.updated_at = timestamp();
+        if (existing && keepBest) {
+          if (changes.progress_poin !== undefined) {
+            changes.progress_poin = Math.max(
+              Number(existing.progress_poin) || 0,
+              changes.progress_poin
+            );
+          }
+          if (changes.is_passed !== undefined) {
+            changes.is_passed = existing.is_passed || changes.is_passed;
+          }
+        }
+
+        let practiceProgress;
+        if (existing) {
+          [practiceProgress] = await tx.update(
+            "t_user_practice_progress",
+            { progress_practice_id: existing.progress_practice_id },
+            changes
+          );
+        } else {
+          practiceProgress = await tx.insert("t_user_practice_progress", {
+            user_id: userId,
+            practice_id: practiceId,
+            progress_poin: 0,
+            is_active: true,
+            is_passed: false,
+            ...changes,
+          });
+        }
+
+        return {
+          practice_progress: practiceProgress,
+          poin_gained: Math.max(
+            0,
+            (Number(practiceProgress.progress_poin) || 0) -
+              (existing ? Number(existing.progress_poin) || 0 : 0)
+          ),
+          course_progress: await recalculateCourse(
+            tx,
+            userId,
+            practice.course_id
+          ),
+          user_progress: await recalculateUser(tx, userId),
+        };
+      }),
+  };
+};
+
+export const progression = createProgressionService(
+  createSupabaseProgressionStore()
+);
+
+export default progression;
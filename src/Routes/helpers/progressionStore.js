@@ -0,0 +1,187 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+// Primary key of every table the progression service reads or writes
+export const PRIMARY_KEYS = {
+  m_course: "course_id",
+  m_practice: "practice_id",
+  m_user_level: "user_level_id",
+  t_user_progress: "progress_id",
+  t_user_course_progress: "progress_course_id",
+  t_user_practice_progress: "progress_practice_id",
+};
+
+/**
+ * Progression stores share one interface. Filters are { column: value }
+ * objects; an array value matches any of its elements.
+ *   select(table, filters) -> resolves to the matching rows
+ *   insert(table, row) -> resolves to the inserted row, key included
+ *   update(table, filters, changes) -> resolves to the updated rows
+ *   remove(table, filters) -> resolves to the removed rows
+ */
+export const createSupabaseProgressionStore = (
+  db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
+) => {
+  const applyFilters = (query, filters) =>
+    Object.entries(filters).reduce(
+      (filtered, [column, value]) =>
+        Array.isArray(value)
+          ? filtered.in(column, value)
+          : filtered.eq(column, value),
+      query
+    );
+
+  const rowsOf = ({ data, error }) => {
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  return {
+    async select(table, filters = {}) {
+      return rowsOf(await applyFilters(db.from(table).select("*"), filters));
+    },
+
+    async insert(table, row) {
+      return rowsOf(await db.from(table).insert([row]).select("*"))[0];
+    },
+
+    async update(table, filters, changes) {
+      return rowsOf(
+        await applyFilters(db.from(table).update(changes), filters).select("*")
+      );
+    },
+
+    async remove(table, filters) {
+      return rowsOf(
+        await applyFilters(db.from(table).delete(), filters).select("*")
+      );
+    },
+  };
+};
+
+/**
+ * Store backed by plain arrays, for unit tests and local experiments.
+ * tables is { table: [rows] }; keys are assigned on insert when missing.
+ */
+export const createMemoryProgressionStore = (tables = {}) => {
+  const data = Object.fromEntries(
+    Object.entries(tables).map(([table, rows]) => [
+      table,
+      rows.map((row) => ({ ...row })),
+    ])
+  );
+  const rowsOf = (table) => data[table] || (data[table] = []);
+
+  const matches = (row, filters) =>
+    Object.entries(filters).every(([column, value]) =>
+      Array.isArray(value)
+        ? value.some((v) => String(v) === String(row[column]))
+        : String(value) === String(row[column])
+    );
+
+  return {
+    tables: data,
+
+    async select(table, filters = {}) {
+      return rowsOf(table)
+        .filter((row) => matches(row, filters))
+        .map((row) => ({ ...row }));
+    },
+
+    async insert(table, row) {
+      const key = PRIMARY_KEYS[table];
+      const rows = rowsOf(table);
+      const inserted = { ...row };
+
+      if (key && inserted[key] === undefined) {
+        inserted[key] =
+          rows.reduce((max, existing) => Math.max(max, existing[key]), 0) + 1;
+      }
+
+      rows.push(inserted);
+      return { ...inserted };
+    },
+
+    async update(table, filters, changes) {
+      return rowsOf(table)
+        .filter((row) => matches(row, filters))
+        .map((row) => ({ ...Object.assign(row, changes) }));
+    },
+
+    async remove(table, filters) {
+      const removed = rowsOf(table).filter((row) => matches(row, filters));
+      data[table] = rowsOf(table).filter((row) => !matches(row, filters));
+      return removed;
+    },
+  };
+};
+
+/**
+ * Wrap a store so every write can be undone. Supabase has no client-side
+ * transactions, so rollback() applies the inverse of each write in reverse
+ * order: inserted rows are removed and updated rows get their old values.
+ * Nothing is locked: other requests see the writes before the rollback, and
+ * restoring old values overwrites whatever they wrote to the same rows since.
+ */
+export const createUnitOfWork = (store) => {
+  const undo = [];
+
+  const keyFilter = (table, row) => {
+    const key = PRIMARY_KEYS[table];
+
+    if (!key) {
+      throw new Error(`No primary key registered for ${table}.`);
+    }
+
+    return { [key]: row[key] };
+  };
+
+  return {
+    select: (table, filters) => store.select(table, filters),
+
+    async insert(table, row) {
+      const inserted = await store.insert(table, row);
+      undo.push(() => store.remove(table, keyFilter(table, inserted)));
+      return inserted;
+    },
+
+    async update(table, filters, changes) {
+      const before = await store.select(table, filters);
+      const updated = await store.update(table, filters, changes);
+
+      undo.push(() =>
+        Promise.all(
+          before.map((row) =>
+            store.update(
+              table,
+              keyFilter(table, row),
+              Object.fromEntries(
+                Object.keys(changes).map((column) => [column, row[column]])
+              )
+            )
+          )
+        )
+      );
+      return updated;
+    },
+
+    async remove(table, filters) {
+      const removed = await store.remove(table, filters);
+      undo.push(() =>
+        Promise.all(removed.map((row) => store.insert(table, row)))
+      );
+      return removed;
+    },
+
+    async rollback() {
+      while (undo.length > 0) {
+        await undo.pop()();
+      }
+    },
+  };
+};
@@ -0,0 +1,177 @@
+import {
+  PASSING_SCORE,
+  normalizeAnswer,
+  isGradedAgainst,
+} from "./quizGrading.js";
+import { isChoiceQuiz } from "./quizTypes.js";
+
+// Upper and lower groups for the discrimination index (Kelley's 27%)
+const GROUP_FRACTION = 0.27;
+const TOO_EASY = 0.9;
+const TOO_HARD = 0.3;
+const LOW_DISCRIMINATION = 0.2;
+// A distractor picked by fewer learners than this is not doing its job
+const WEAK_DISTRACTOR = 0.05;
+
+const ratio = (part, whole) =>
+  whole ? Math.round((part / whole) * 1000) / 1000 : null;
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Split attempts into the top and bottom scoring groups. With fewer than two
+ * attempts there is nothing to compare and both groups are empty.
+ */
+const scoreGroups = (attempts) => {
+  if (attempts.length < 2) {
+    return { upper: new Set(), lower: new Set() };
+  }
+
+  const sorted = [...attempts].sort((a, b) => b.score - a.score);
+  const size = Math.max(1, Math.round(sorted.length * GROUP_FRACTION));
+
+  return {
+    upper: new Set(sorted.slice(0, size).map((a) => a.attempt_id)),
+    lower: new Set(sorted.slice(-size).map((a) => a.attempt_id)),
+  };
+};
+
+const analyzeItem = (quiz, answers, groups) => {
+  // Answers graded before the answer key or choices last changed would mix
+  // two different questions, so only the current ones are counted
+  const itemAnswers = answers.filter((a) =>
+    isGradedAgainst(a.answer_key_snapshot, quiz)
+  );
+  const correctCount = itemAnswers.filter((a) => a.is_correct).length;
+  const percentCorrect = ratio(correctCount, itemAnswers.length);
+
+  const groupRate = (group) => {
+    const inGroup = itemAnswers.filter((a) => group.has(a.attempt_id));
+    return ratio(inGroup.filter((a) => a.is_correct).length, inGroup.length);
+  };
+  const upperRate = groupRate(groups.upper);
+  const lowerRate = groupRate(groups.lower);
+  const discrimination =
+    upperRate === null || lowerRate === null
+      ? null
+      : Math.round((upperRate - lowerRate) * 1000) / 1000;
+
+  const choices = isChoiceQuiz(quiz) ? quiz.choices : [];
+  const choiceStats = choices.map((choice) => {
+    const count = itemAnswers.filter(
+      (a) => normalizeAnswer(a.answer) === normalizeAnswer(choice)
+    ).length;
+
+    return {
+      choice,
+      is_answer_key:
+        normalizeAnswer(choice) === normalizeAnswer(quiz.answer_key),
+      count,
+      rate: ratio(count, itemAnswers.length),
+    };
+  });
+  const unanswered = itemAnswers.filter(
+    (a) => normalizeAnswer(a.answer) === ""
+  );
+
+  const flags = [];
+  if (itemAnswers.length > 0) {
+    if (percentCorrect >= TOO_EASY) {
+      flags.push("too_easy");
+    }
+    if (percentCorrect <= TOO_HARD) {
+      flags.push("too_hard");
+    }
+    if (discrimination !== null && discrimination < LOW_DISCRIMINATION) {
+      flags.push(
+        discrimination < 0 ? "negative_discrimination" : "low_discrimination"
+      );
+    }
+
+    // Typed, ordered and matched answers have no choices to compare
+    if (isChoiceQuiz(quiz)) {
+      const keyStats = choiceStats.find((c) => c.is_answer_key);
+      if (!keyStats) {
+        flags.push("answer_key_not_in_choices");
+      } else if (
+        choiceStats.some((c) => !c.is_answer_key && c.count > keyStats.count)
+      ) {
+        // Learners agree on another answer more than on the key
+        flags.push("possible_wrong_answer_key");
+      }
+
+      if (
+        choiceStats.some((c) => !c.is_answer_key && c.rate < WEAK_DISTRACTOR)
+      ) {
+        flags.push("weak_distractor");
+      }
+    }
+  }
+
+  return {
+    quiz_id: quiz.quiz_id,
+    question: quiz.question,
+    attempt_count: itemAnswers.length,
+    correct_count: correctCount,
+    percent_correct: percentCorrect,
+    discrimination_index: discrimination,
+    choices: choiceStats,
+    unanswered_count: unanswered.length,
+    outdated_answer_count: answers.length - itemAnswers.length,
+    flags,
+  };
+};
+
+/**
+ * Per-question statistics for the quizzes of one practice.
+ *   quizzes:  [{ quiz_id, type, question, answer_key, choices }]
+ *   attempts: [{ attempt_id, score }]
+ *   answers:  [{ attempt_id, quiz_id, answer, is_correct,
+ *                answer_key_snapshot }]
+ */
+export const analyzeQuizItems = (quizzes, attempts, answers) => {
+  const groups = scoreGroups(attempts);
+
+  return quizzes.map((quiz) =>
+    analyzeItem(
+      quiz,
+      answers.filter((a) => String(a.quiz_id) === String(quiz.quiz_id)),
+      groups
+    )
+  );
+};
+
+/**
+ * Attempt-level summary of one practice.
+ *   attempts: [{ attempt_id, user_id, score, is_passed }]
+ */
+export const summarizeAttempts = (attempts) => {
+  const scores = attempts.map((a) => a.score);
+
+  return {
+    attempt_count: attempts.length,
+    learner_count: new Set(attempts.map((a) => a.user_id)).size,
+    average_score: scores.length
+      ? Math.round(
+          (scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10
+        ) / 10
+      : null,
+    median_score: median(scores),
+    pass_rate: ratio(
+      attempts.filter((a) => a.is_passed).length,
+      attempts.length
+    ),
+    passing_score: PASSING_SCORE,
+  };
+};
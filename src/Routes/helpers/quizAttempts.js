@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { QUIZ_TYPES, shuffled, toLearnerQuiz } from "./quizTypes.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Answers sent this long after the time limit still count, for slow networks
+export const ATTEMPT_GRACE_SECONDS = 15;
+
+/**
+ * mulberry32, a small seeded PRNG. The same seed always gives the same
+ * numbers in [0, 1), which is what lets an attempt be rebuilt from its seed.
+ */
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const newAttemptSeed = () => crypto.randomInt(2 ** 31);
+
+/**
+ * The attempt settings of a practice, or null when it does not exist.
+ */
+export const loadQuizSettings = async (practiceId) => {
+  const { data: practices, error } = await db
+    .from("m_practice")
+    .select("practice_id, quiz_draw_count, quiz_time_limit_seconds")
+    .eq("practice_id", practiceId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return practices[0] || null;
+};
+
+/**
+ * Practices that draw questions or have a time limit only take answers
+ * through an attempt started with POST /api/quiz/attempt/start.
+ */
+export const requiresAttempt = (settings) =>
+  Boolean(settings.quiz_draw_count || settings.quiz_time_limit_seconds);
+
+/**
+ * Draw the questions of an attempt from the practice's pool: the pool in a
+ * seeded random order, cut to drawCount when it is set. Returns quiz ids in
+ * the order the learner sees them.
+ */
+export const drawAttemptQuizIds = (pool, seed, drawCount) => {
+  const ids = pool.map((quiz) => quiz.quiz_id).sort((a, b) => a - b);
+  const order = shuffled(ids, seededRandom(seed));
+
+  return drawCount ? order.slice(0, drawCount) : order;
+};
+
+/**
+ * The quizzes in a fresh random order with their choices shuffled, for
+ * practices that are not taken through attempts.
+ */
+export const presentShuffled = (quizzes) => {
+  const seed = newAttemptSeed();
+
+  return presentAttempt(
+    { seed, quiz_ids: drawAttemptQuizIds(quizzes, seed) },
+    quizzes
+  );
+};
+
+// Each quiz gets its own sequence, so its choices do not depend on the draw
+const quizRandom = (seed, quizId) =>
+  seededRandom(seed ^ Math.imul(Number(quizId), 0x9e3779b1));
+
+const shuffleChoices = (choices, random) => {
+  if (Array.isArray(choices)) {
+    return shuffled(choices, random);
+  }
+
+  // Matching quizzes list both sides
+  if (choices && typeof choices === "object") {
+    return {
+      left: shuffled(choices.left, random),
+      right: shuffled(choices.right, random),
+    };
+  }
+
+  return choices;
+};
+
+/**
+ * What the learner sees of an attempt: its quizzes in the drawn order with
+ * their choices shuffled by the seed, the same every time. quizzes may be
+ * in any order; quizzes missing from it are left out.
+ */
+export const presentAttempt = (attempt, quizzes) => {
+  const quizzesById = new Map(
+    quizzes.map((quiz) => [String(quiz.quiz_id), quiz])
+  );
+
+  return attempt.quiz_ids
+    .map((quizId) => quizzesById.get(String(quizId)))
+    .filter(Boolean)
+    .map((quiz) => {
+      const learnerQuiz = toLearnerQuiz(quiz);
+
+      // True or false keep their usual order
+      if (learnerQuiz.type === QUIZ_TYPES.TRUE_FALSE) {
+        return learnerQuiz;
+      }
+
+      return {
+        ...learnerQuiz,
+        choices: shuffleChoices(
+          learnerQuiz.choices,
+          quizRandom(attempt.seed, quiz.quiz_id)
+        ),
+      };
+    });
+};
+
+export const attemptExpiresAt = (startedAt, timeLimitSeconds) =>
+  timeLimitSeconds
+    ? new Date(startedAt.getTime() + timeLimitSeconds * 1000).toISOString()
+    : null;
+
+export const isAttemptExpired = (attempt, now = new Date()) =>
+  Boolean(attempt.expires_at) &&
+  now.getTime() >
+    new Date(attempt.expires_at).getTime() + ATTEMPT_GRACE_SECONDS * 1000;
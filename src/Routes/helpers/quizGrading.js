@@ -0,0 +1,70 @@
+import _ from "lodash";
+import { gradeAnswer, normalizeAnswer } from "./quizTypes.js";
+
+export { normalizeAnswer };
+
+export const PASSING_SCORE = Number(process.env.QUIZ_PASSING_SCORE) || 70;
+
+export const isCorrectAnswer = (quiz, answer, context) =>
+  gradeAnswer(quiz, answer, context);
+
+// Ordering and matching answers are arrays and objects, stored as JSON text
+const storedAnswer = (answer) => {
+  if (answer === undefined || answer === null) {
+    return null;
+  }
+
+  return typeof answer === "object" ? JSON.stringify(answer) : String(answer);
+};
+
+/**
+ * What an answer to the quiz is graded against. It is stored with every
+ * answer, so later edits to the quiz do not change how old answers read.
+ */
+export const answerKeySnapshot = (quiz) => ({
+  answer_key: quiz.answer_key === undefined ? null : quiz.answer_key,
+  choices: quiz.choices === undefined ? null : quiz.choices,
+});
+
+/**
+ * Whether an answer stored with snapshot was graded against the quiz as it
+ * is now. Answers saved before snapshots were kept have none and count as
+ * current.
+ */
+export const isGradedAgainst = (snapshot, quiz) =>
+  !snapshot || _.isEqual(snapshot, answerKeySnapshot(quiz));
+
+/**
+ * Grade a set of answers against the quizzes of a practice. Unanswered
+ * quizzes count as wrong. The score is a percentage rounded to an integer.
+ * context is passed on to gradeAnswer.
+ */
+export const gradeQuiz = (quizzes, answers, context) => {
+  const answersByQuiz = new Map(
+    answers.map(({ quiz_id, answer }) => [String(quiz_id), answer])
+  );
+
+  const results = quizzes.map((quiz) => {
+    const answer = answersByQuiz.get(String(quiz.quiz_id));
+
+    return {
+      quiz_id: quiz.quiz_id,
+      answer: storedAnswer(answer),
+      is_correct: isCorrectAnswer(quiz, answer, context),
+      answer_key_snapshot: answerKeySnapshot(quiz),
+    };
+  });
+
+  const correctCount = results.filter((result) => result.is_correct).length;
+  const score = quizzes.length
+    ? Math.round((correctCount / quizzes.length) * 100)
+    : 0;
+
+  return {
+    results,
+    correct_count: correctCount,
+    total_count: quizzes.length,
+    score,
+    is_passed: score >= PASSING_SCORE,
+  };
+};
@@ -0,0 +1,273 @@
+import { parse } from "csv-parse/sync";
+import { stringify } from "csv-stringify/sync";
+import {
+  QUIZ_TYPES,
+  normalizeQuiz,
+  quizToInput,
+  normalizeAnswer,
+} from "./quizTypes.js";
+
+export const QUIZ_FILE_FORMATS = {
+  CSV: "csv",
+  JSON: "json",
+};
+
+export const MAX_IMPORT_ROWS = 1000;
+// Each listening quiz is one text-to-speech call during the import
+export const MAX_IMPORT_LISTENING_ROWS = 50;
+
+// Column order of exported CSV files. List cells separate their values
+// with "|" and matching pairs are written as left=right. A backslash
+// escapes the next character, so values may contain "|", "=" or "\\".
+export const QUIZ_CSV_COLUMNS = [
+  "practice_id",
+  "type",
+  "question",
+  "answer_key",
+  "choices",
+  "accepted_answers",
+  "items",
+  "pairs",
+  "transcript",
+  "reference_text",
+  "min_score",
+];
+
+const LIST_COLUMNS = ["choices", "accepted_answers", "items"];
+const LIST_SEPARATOR = "|";
+const PAIR_SEPARATOR = "=";
+const ESCAPE = "\\";
+
+export const fileFormat = (file) =>
+  file.mimetype === "application/json" ||
+  /\.json$/i.test(file.originalname || "")
+    ? QUIZ_FILE_FORMATS.JSON
+    : QUIZ_FILE_FORMATS.CSV;
+
+// Split on every separator that is not escaped. Parts keep their escapes.
+const splitUnescaped = (text, separator) => {
+  const parts = [""];
+
+  for (let at = 0; at < text.length; at += 1) {
+    if (text[at] === ESCAPE && at + 1 < text.length) {
+      parts[parts.length - 1] += text[at] + text[at + 1];
+      at += 1;
+    } else if (text[at] === separator) {
+      parts.push("");
+    } else {
+      parts[parts.length - 1] += text[at];
+    }
+  }
+
+  return parts;
+};
+
+const unescapeValue = (value) => value.replace(/\\(.)/gs, "$1");
+
+const escapeValue = (value) => String(value).replace(/[\\|=]/g, "\\$&");
+
+const splitList = (cell) =>
+  splitUnescaped(cell, LIST_SEPARATOR).map((value) =>
+    unescapeValue(value.trim())
+  );
+
+const splitPair = (pair) => {
+  const [left, ...right] = splitUnescaped(pair.trim(), PAIR_SEPARATOR);
+
+  return {
+    left: unescapeValue(left.trim()),
+    right: unescapeValue(right.join(PAIR_SEPARATOR).trim()),
+  };
+};
+
+const csvRowToInput = (row) => {
+  const input = {};
+
+  Object.entries(row).forEach(([column, cell]) => {
+    if (cell === "") {
+      return;
+    }
+
+    if (LIST_COLUMNS.includes(column)) {
+      input[column] = splitList(cell);
+    } else if (column === "pairs") {
+      input.pairs = splitUnescaped(cell, LIST_SEPARATOR).map(splitPair);
+    } else if (column === "practice_id" || column === "min_score") {
+      // Cells that are not numbers are kept so validation reports them
+      const number = Number(cell);
+      input[column] = Number.isNaN(number) ? cell : number;
+    } else {
+      input[column] = cell;
+    }
+  });
+
+  return input;
+};
+
+const inputToCsvRow = (input) =>
+  Object.fromEntries(
+    QUIZ_CSV_COLUMNS.map((column) => {
+      const value = input[column];
+
+      if (value === undefined || value === null) {
+        return [column, ""];
+      }
+
+      if (column === "pairs") {
+        return [
+          column,
+          value
+            .map(
+              (pair) =>
+                `${escapeValue(pair.left)}${PAIR_SEPARATOR}${escapeValue(
+                  pair.right
+                )}`
+            )
+            .join(LIST_SEPARATOR),
+        ];
+      }
+
+      return [
+        column,
+        Array.isArray(value)
+          ? value.map(escapeValue).join(LIST_SEPARATOR)
+          : String(value),
+      ];
+    })
+  );
+
+/**
+ * Read an uploaded CSV or JSON file into admin quiz inputs. A JSON file is an
+ * array of quizzes or { quizzes: [...] }. Returns null when the file cannot
+ * be read.
+ */
+export const parseQuizFile = (buffer, format) => {
+  try {
+    if (format === QUIZ_FILE_FORMATS.JSON) {
+      const parsed = JSON.parse(buffer.toString("utf8"));
+      const rows = Array.isArray(parsed) ? parsed : parsed && parsed.quizzes;
+      return Array.isArray(rows) ? rows : null;
+    }
+
+    return parse(buffer, {
+      bom: true,
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+    }).map(csvRowToInput);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stored quizzes in the admin input shape, as exported and imported
+const toFileRow = (quiz) => {
+  const input = quizToInput(quiz);
+  delete input.audio_url;
+  return input;
+};
+
+// Compares quizzes by type, question and answers, ignoring case and key order
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .map((key) => [key, canonical(value[key])]);
+  }
+
+  return normalizeAnswer(value);
+};
+
+const quizFingerprint = (quiz) => JSON.stringify(canonical(toFileRow(quiz)));
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const isPositiveInteger = (value) =>
+  Number.isInteger(Number(value)) && Number(value) > 0;
+
+/**
+ * Validate imported rows. A row without practice_id goes to
+ * defaultPracticeId; practiceIds are the practices that exist. A row is a
+ * duplicate when the same question with the same answers is already in its
+ * practice or earlier in the file. Listening quizzes past
+ * MAX_IMPORT_LISTENING_ROWS are invalid. Returns { report, quizzes } with
+ * one report entry per row, { row, status, errors }, row counting from 1.
+ */
+export const validateQuizRows = (
+  rows,
+  { defaultPracticeId, practiceIds, existingQuizzes }
+) => {
+  const seen = new Set(existingQuizzes.map(quizFingerprint));
+  const quizzes = [];
+  let listeningCount = 0;
+
+  const report = rows.map((input, index) => {
+    const row = input && typeof input === "object" ? input : {};
+    const { quiz, errors } = normalizeQuiz({
+      ...row,
+      practice_id: isBlank(row.practice_id)
+        ? defaultPracticeId
+        : row.practice_id,
+    });
+
+    if (!isBlank(row.practice_id) && !isPositiveInteger(row.practice_id)) {
+      errors.push({
+        field: "practice_id",
+        message: "practice_id must be a positive integer",
+      });
+    } else if (quiz && !practiceIds.has(String(quiz.practice_id))) {
+      errors.push({
+        field: "practice_id",
+        message: "practice_id does not exist",
+      });
+    }
+
+    if (quiz) {
+      const fingerprint = quizFingerprint(quiz);
+      if (seen.has(fingerprint)) {
+        errors.push({ field: "question", message: "duplicate quiz" });
+      }
+      seen.add(fingerprint);
+    }
+
+    if (quiz && quiz.type === QUIZ_TYPES.LISTENING) {
+      listeningCount += 1;
+      if (listeningCount > MAX_IMPORT_LISTENING_ROWS) {
+        errors.push({
+          field: "type",
+          message: `at most ${MAX_IMPORT_LISTENING_ROWS} listening quizzes can be imported at once`,
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      return { row: index + 1, status: "invalid", errors };
+    }
+
+    quizzes.push(quiz);
+    return { row: index + 1, status: "valid", errors: [] };
+  });
+
+  return { report, quizzes };
+};
+
+/**
+ * Write stored quizzes in the import format.
+ */
+export const exportQuizFile = (quizzes, format) => {
+  const rows = quizzes.map(toFileRow);
+
+  if (format === QUIZ_FILE_FORMATS.JSON) {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  return stringify(rows.map(inputToCsvRow), {
+    header: true,
+    columns: QUIZ_CSV_COLUMNS,
+  });
+};
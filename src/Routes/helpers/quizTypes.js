@@ -0,0 +1,524 @@
+import crypto from "crypto";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { storage } from "./storage.js";
+import { synthesizeSpeech } from "./speech.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const QUIZ_TYPES = {
+  MULTIPLE_CHOICE: "multiple_choice",
+  TRUE_FALSE: "true_false",
+  FILL_BLANK: "fill_blank",
+  ORDERING: "ordering",
+  MATCHING: "matching",
+  LISTENING: "listening",
+  SPEAKING: "speaking",
+};
+
+// Marks the gap in a fill-in-the-blank question
+export const BLANK_MARKER = "___";
+// Pronunciation score a speaking answer needs unless the quiz sets min_score
+export const DEFAULT_SPEAKING_MIN_SCORE = 70;
+// Storage folder of the generated listening audio
+const LISTENING_AUDIO_DIR = "quiz-audio";
+
+export const normalizeAnswer = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .trim()
+    .toLowerCase();
+
+// Free-text answers also ignore punctuation and repeated spaces
+const normalizeText = (value) =>
+  normalizeAnswer(value)
+    .replace(/[^\p{L}\p{N}\s']/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+const isTextList = (value, minLength) =>
+  Array.isArray(value) && value.length >= minLength && value.every(isText);
+
+const hasDuplicates = (values) =>
+  new Set(values.map(normalizeAnswer)).size !== values.length;
+
+/**
+ * Shuffle until the order differs from the original, when it can. random
+ * returns numbers in [0, 1); pass a seeded one to get a repeatable order.
+ */
+export const shuffled = (values, random = Math.random) => {
+  let result = values;
+  for (let tries = 0; tries < 5; tries += 1) {
+    result = [...values];
+    for (let i = result.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    if (result.some((value, index) => value !== values[index])) {
+      break;
+    }
+  }
+  return result;
+};
+
+const quizType = (quiz) => quiz.type || QUIZ_TYPES.MULTIPLE_CHOICE;
+
+const validateChoices = (input, errors) => {
+  if (!isTextList(input.choices, 2) || hasDuplicates(input.choices)) {
+    errors.push({
+      field: "choices",
+      message: "choices must be at least 2 different answers",
+    });
+    return null;
+  }
+
+  const choices = input.choices.map((choice) => choice.trim());
+  const answerKey = choices.find(
+    (choice) => normalizeAnswer(choice) === normalizeAnswer(input.answer_key)
+  );
+
+  if (!answerKey) {
+    errors.push({
+      field: "answer_key",
+      message: "answer_key must be one of the choices",
+    });
+    return null;
+  }
+
+  return { choices, answer_key: answerKey };
+};
+
+/**
+ * Each type turns admin input into the stored columns (answer_key, choices,
+ * config), grades an answer, and decides what learners may see. answer_key
+ * stays a readable answer for the admin list and analytics; it is null for
+ * types graded only from config, which keeps them out of placement tests.
+ */
+const TYPES = {
+  [QUIZ_TYPES.MULTIPLE_CHOICE]: {
+    validate(input, errors) {
+      const fields = validateChoices(input, errors);
+      return fields && { ...fields, config: null };
+    },
+    grade: (quiz, answer) =>
+      normalizeAnswer(quiz.answer_key) !== "" &&
+      normalizeAnswer(answer) === normalizeAnswer(quiz.answer_key),
+  },
+
+  [QUIZ_TYPES.TRUE_FALSE]: {
+    validate(input, errors) {
+      const answerKey = normalizeAnswer(input.answer_key);
+
+      if (answerKey !== "true" && answerKey !== "false") {
+        errors.push({
+          field: "answer_key",
+          message: "answer_key must be true or false",
+        });
+        return null;
+      }
+
+      return {
+        answer_key: answerKey,
+        choices: ["true", "false"],
+        config: null,
+      };
+    },
+    grade: (quiz, answer) =>
+      normalizeAnswer(answer) === normalizeAnswer(quiz.answer_key),
+  },
+
+  [QUIZ_TYPES.FILL_BLANK]: {
+    validate(input, errors) {
+      if (!String(input.question || "").includes(BLANK_MARKER)) {
+        errors.push({
+          field: "question",
+          message: `question must mark the blank with ${BLANK_MARKER}`,
+        });
+      }
+
+      if (!isTextList(input.accepted_answers, 1)) {
+        errors.push({
+          field: "accepted_answers",
+          message: "accepted_answers must list at least one answer",
+        });
+        return null;
+      }
+
+      const accepted = input.accepted_answers.map((answer) => answer.trim());
+      return {
+        answer_key: accepted[0],
+        choices: null,
+        config: { accepted_answers: accepted },
+      };
+    },
+    grade: (quiz, answer) =>
+      normalizeText(answer) !== "" &&
+      quiz.config.accepted_answers.some(
+        (accepted) => normalizeText(accepted) === normalizeText(answer)
+      ),
+  },
+
+  // items are the words or phrases in the right order
+  [QUIZ_TYPES.ORDERING]: {
+    validate(input, errors) {
+      if (!isTextList(input.items, 2)) {
+        errors.push({
+          field: "items",
+          message: "items must list at least 2 parts in the right order",
+        });
+        return null;
+      }
+
+      const items = input.items.map((item) => item.trim());
+      return {
+        answer_key: items.join(" "),
+        choices: shuffled(items),
+        config: { items },
+      };
+    },
+    grade: (quiz, answer) =>
+      Array.isArray(answer) &&
+      answer.length === quiz.config.items.length &&
+      quiz.config.items.every(
+        (item, index) =>
+          normalizeAnswer(item) === normalizeAnswer(answer[index])
+      ),
+  },
+
+  // The answer maps every left side to its right side: { left: right }
+  [QUIZ_TYPES.MATCHING]: {
+    validate(input, errors) {
+      const pairs = Array.isArray(input.pairs) ? input.pairs : [];
+
+      if (
+        pairs.length < 2 ||
+        !pairs.every((pair) => pair && isText(pair.left) && isText(pair.right))
+      ) {
+        errors.push({
+          field: "pairs",
+          message: "pairs must list at least 2 { left, right } pairs",
+        });
+        return null;
+      }
+
+      const trimmed = pairs.map((pair) => ({
+        left: pair.left.trim(),
+        right: pair.right.trim(),
+      }));
+
+      if (
+        hasDuplicates(trimmed.map((pair) => pair.left)) ||
+        hasDuplicates(trimmed.map((pair) => pair.right))
+      ) {
+        errors.push({
+          field: "pairs",
+          message: "every left and right side must be different",
+        });
+        return null;
+      }
+
+      return {
+        answer_key: null,
+        choices: {
+          left: trimmed.map((pair) => pair.left),
+          right: shuffled(trimmed.map((pair) => pair.right)),
+        },
+        config: { pairs: trimmed },
+      };
+    },
+    grade(quiz, answer) {
+      if (!answer || typeof answer !== "object" || Array.isArray(answer)) {
+        return false;
+      }
+
+      const given = new Map(
+        Object.entries(answer).map(([left, right]) => [
+          normalizeAnswer(left),
+          normalizeAnswer(right),
+        ])
+      );
+
+      return quiz.config.pairs.every(
+        (pair) =>
+          given.get(normalizeAnswer(pair.left)) === normalizeAnswer(pair.right)
+      );
+    },
+  },
+
+  // The learner hears the transcript and picks a choice or, without
+  // choices, types what they heard
+  [QUIZ_TYPES.LISTENING]: {
+    validate(input, errors) {
+      if (!isText(input.transcript)) {
+        errors.push({
+          field: "transcript",
+          message: "transcript is required",
+        });
+        return null;
+      }
+
+      // audio_url is filled in by attachListeningAudio
+      const config = { transcript: input.transcript.trim(), audio_url: null };
+
+      if (input.choices === undefined || input.choices === null) {
+        return { answer_key: config.transcript, choices: null, config };
+      }
+
+      const fields = validateChoices(input, errors);
+      return fields && { ...fields, config };
+    },
+    grade: (quiz, answer) =>
+      Array.isArray(quiz.choices)
+        ? normalizeAnswer(answer) === normalizeAnswer(quiz.answer_key)
+        : normalizeText(answer) !== "" &&
+          normalizeText(answer) === normalizeText(quiz.config.transcript),
+    learnerFields: (quiz) => ({ audio_url: quiz.config.audio_url }),
+  },
+
+  // The answer is the assessment_id returned by /api/speech/speech-to-text
+  // for the quiz's reference_text
+  [QUIZ_TYPES.SPEAKING]: {
+    validate(input, errors) {
+      if (!isText(input.reference_text)) {
+        errors.push({
+          field: "reference_text",
+          message: "reference_text is required",
+        });
+        return null;
+      }
+
+      const minScore =
+        input.min_score === undefined || input.min_score === null
+          ? DEFAULT_SPEAKING_MIN_SCORE
+          : Number(input.min_score);
+
+      if (!Number.isFinite(minScore) || minScore < 1 || minScore > 100) {
+        errors.push({
+          field: "min_score",
+          message: "min_score must be between 1 and 100",
+        });
+        return null;
+      }
+
+      return {
+        answer_key: null,
+        choices: null,
+        config: {
+          reference_text: input.reference_text.trim(),
+          min_score: minScore,
+        },
+      };
+    },
+    grade(quiz, answer, { assessments } = {}) {
+      const assessment = assessments && assessments.get(String(answer));
+
+      return Boolean(
+        assessment &&
+          normalizeText(assessment.reference_text) ===
+            normalizeText(quiz.config.reference_text) &&
+          assessment.pronunciation_score >= quiz.config.min_score
+      );
+    },
+    learnerFields: (quiz) => ({ reference_text: quiz.config.reference_text }),
+  },
+};
+
+/**
+ * Validate a quiz from the admin API and build the m_quiz row. Resolves to
+ * { quiz, errors } where errors is a list of { field, message }.
+ */
+export const normalizeQuiz = (input) => {
+  const errors = [];
+  const type = input.type || QUIZ_TYPES.MULTIPLE_CHOICE;
+  const definition = TYPES[type];
+
+  if (!input.practice_id) {
+    errors.push({ field: "practice_id", message: "practice_id is required" });
+  }
+
+  if (!isText(input.question)) {
+    errors.push({ field: "question", message: "question is required" });
+  }
+
+  if (!definition) {
+    errors.push({
+      field: "type",
+      message: `type must be one of ${Object.values(QUIZ_TYPES).join(", ")}`,
+    });
+    return { quiz: null, errors };
+  }
+
+  const fields = definition.validate(input, errors);
+
+  if (errors.length > 0) {
+    return { quiz: null, errors };
+  }
+
+  return {
+    quiz: {
+      type,
+      practice_id: input.practice_id,
+      question: input.question.trim(),
+      ...fields,
+    },
+    errors,
+  };
+};
+
+/**
+ * The admin input a stored quiz was created from, so an update can send only
+ * the fields that change.
+ */
+export const quizToInput = (quiz) => {
+  const type = quizType(quiz);
+  const config = quiz.config || {};
+  const input = {
+    type,
+    practice_id: quiz.practice_id,
+    question: quiz.question,
+    answer_key: quiz.answer_key,
+  };
+
+  if (Array.isArray(quiz.choices)) {
+    input.choices = quiz.choices;
+  }
+
+  if (type === QUIZ_TYPES.ORDERING) {
+    // choices hold the shuffled items, not the ones to validate
+    delete input.choices;
+  }
+
+  return { ...input, ...config };
+};
+
+/**
+ * Listening quizzes get their audio from text-to-speech. It is generated
+ * again only when the transcript changes.
+ */
+export const attachListeningAudio = async (quiz, previous = null) => {
+  if (quiz.type !== QUIZ_TYPES.LISTENING) {
+    return quiz;
+  }
+
+  const previousConfig = (previous && previous.config) || {};
+  if (
+    previousConfig.audio_url &&
+    previousConfig.transcript === quiz.config.transcript
+  ) {
+    return {
+      ...quiz,
+      config: { ...quiz.config, audio_url: previousConfig.audio_url },
+    };
+  }
+
+  const audio = await synthesizeSpeech(quiz.config.transcript);
+  const audioUrl = await storage.save(
+    `${LISTENING_AUDIO_DIR}/${crypto.randomUUID()}.mp3`,
+    audio,
+    "audio/mpeg"
+  );
+
+  return { ...quiz, config: { ...quiz.config, audio_url: audioUrl } };
+};
+
+/**
+ * Delete the audio files of listening quizzes, for quizzes whose audio was
+ * generated but never saved. Both storage drivers end their URLs with the
+ * file path, which is how the path is found again.
+ */
+export const removeListeningAudio = async (quizzes) => {
+  const filePaths = quizzes
+    .filter((quiz) => quiz.type === QUIZ_TYPES.LISTENING)
+    .map((quiz) => {
+      const audioUrl = quiz.config.audio_url || "";
+      const at = audioUrl.lastIndexOf(`/${LISTENING_AUDIO_DIR}/`);
+      return at === -1 ? null : audioUrl.slice(at + 1);
+    })
+    .filter(Boolean);
+
+  if (filePaths.length > 0) {
+    await storage.remove(filePaths);
+  }
+};
+
+/**
+ * Grade one answer. context.assessments maps assessment ids to the user's
+ * pronunciation assessments, see loadGradingContext.
+ */
+export const gradeAnswer = (quiz, answer, context = {}) => {
+  const definition = TYPES[quizType(quiz)];
+
+  if (!definition || answer === undefined || answer === null) {
+    return false;
+  }
+
+  return definition.grade(quiz, answer, context);
+};
+
+/**
+ * What a learner sees of a quiz: never the answer key or the config it is
+ * graded from.
+ */
+export const toLearnerQuiz = (quiz) => {
+  const definition = TYPES[quizType(quiz)];
+  const learnerFields =
+    definition && definition.learnerFields && quiz.config
+      ? definition.learnerFields(quiz)
+      : {};
+
+  return {
+    quiz_id: quiz.quiz_id,
+    practice_id: quiz.practice_id,
+    type: quizType(quiz),
+    question: quiz.question,
+    choices: quiz.choices,
+    ...learnerFields,
+  };
+};
+
+// Whether a quiz is answered by picking one of its choices
+export const isChoiceQuiz = (quiz) =>
+  [
+    QUIZ_TYPES.MULTIPLE_CHOICE,
+    QUIZ_TYPES.TRUE_FALSE,
+    QUIZ_TYPES.LISTENING,
+  ].includes(quizType(quiz)) && Array.isArray(quiz.choices);
+
+/**
+ * Load the pronunciation assessments that answer the speaking quizzes, only
+ * those of the user themselves.
+ */
+export const loadGradingContext = async (userId, quizzes, answers) => {
+  const speakingIds = new Set(
+    quizzes
+      .filter((quiz) => quizType(quiz) === QUIZ_TYPES.SPEAKING)
+      .map((quiz) => String(quiz.quiz_id))
+  );
+  const assessmentIds = answers
+    .filter((answer) => speakingIds.has(String(answer.quiz_id)))
+    .map((answer) => Number(answer.answer))
+    .filter(Number.isInteger);
+
+  if (assessmentIds.length === 0) {
+    return { assessments: new Map() };
+  }
+
+  const { data, error } = await db
+    .from("t_speech_assessment")
+    .select("assessment_id, reference_text, pronunciation_score")
+    .eq("user_id", userId)
+    .in("assessment_id", assessmentIds);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    assessments: new Map(
+      data.map((assessment) => [String(assessment.assessment_id), assessment])
+    ),
+  };
+};
@@ -0,0 +1,362 @@
+import _ from "lodash";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const CONTENT_STATUS = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+};
+
+export const REVISION_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  PUBLISH: "publish",
+  ROLLBACK: "rollback",
+  DELETE: "delete",
+  RESTORE: "restore",
+};
+
+const REVISION_COLUMNS =
+  "revision_id, content_type, content_id, action, status, data, changes, rolled_back_to, created_by, created_at, author:created_by(name)";
+
+// Admin lists take this as a status filter for the trash
+export const DELETED_STATUS = "deleted";
+
+/**
+ * The status of a content item. Rows from before the draft workflow have no
+ * status and were always visible to learners, so they count as published.
+ */
+export const contentStatus = (row) => row.status || CONTENT_STATUS.PUBLISHED;
+
+/**
+ * Limit an admin list to items with a status, or to deleted items with
+ * DELETED_STATUS. Without a status, every item that is not deleted is kept.
+ */
+export const withContentStatus = (query, status) => {
+  if (status === DELETED_STATUS) {
+    return query.not("deleted_at", "is", null);
+  }
+
+  const current = query.is("deleted_at", null);
+  if (status === CONTENT_STATUS.PUBLISHED) {
+    return current.or(`status.eq.${CONTENT_STATUS.PUBLISHED},status.is.null`);
+  }
+
+  return status ? current.eq("status", status) : current;
+};
+
+/**
+ * Limit a query to what learners may see: published and not deleted.
+ */
+export const publishedOnly = (query) =>
+  withContentStatus(query, CONTENT_STATUS.PUBLISHED);
+
+const valueOf = (content, field) =>
+  content && content[field] !== undefined ? content[field] : null;
+
+/**
+ * Field-by-field differences between two versions of a content item:
+ * [{ field, from, to }].
+ */
+export const diffContent = (before, after, fields) =>
+  fields
+    .filter(
+      (field) => !_.isEqual(valueOf(before, field), valueOf(after, field))
+    )
+    .map((field) => ({
+      field,
+      from: valueOf(before, field),
+      to: valueOf(after, field),
+    }));
+
+/**
+ * The content an admin is editing: the pending draft of a published item,
+ * or the item itself.
+ */
+export const workingCopy = (row, fields) =>
+  _.pick(row.draft_data || row, fields);
+
+const throwIfError = ({ data, error }) => {
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Draft/publish workflow with a revision history in t_content_revision for
+ * one content table. New items start as drafts. Editing a draft changes it
+ * in place; editing a published item saves the edit in draft_data so
+ * learners keep seeing the published version until it is published again.
+ * Deleting only sets deleted_at.
+ *
+ * Every change records a revision with the full content after the change
+ * (data) and what changed (changes), then writes the item; if the write
+ * fails the revision is removed again, so the history never lists a change
+ * that did not happen.
+ */
+export const createVersionedContent = ({ contentType, table, key, fields }) => {
+  const recordRevisions = async (entries, userId) =>
+    throwIfError(
+      await db
+        .from("t_content_revision")
+        .insert(
+          entries.map((entry) => ({
+            content_type: contentType,
+            content_id: entry.id,
+            action: entry.action,
+            status: entry.status,
+            data: entry.data,
+            changes: entry.changes,
+            rolled_back_to: entry.rolledBackTo || null,
+            created_by: userId,
+            created_at: new Date().toISOString(),
+          }))
+        )
+        .select("revision_id")
+    ).map((revision) => revision.revision_id);
+
+  const removeRevisions = async (revisionIds) => {
+    const { error } = await db
+      .from("t_content_revision")
+      .delete()
+      .in("revision_id", revisionIds);
+
+    if (error) {
+      console.error(`Error removing ${contentType} revisions:`, error);
+    }
+  };
+
+  const update = async (row, changes, revision, userId) => {
+    const revisionIds = await recordRevisions(
+      [{ id: row[key], ...revision }],
+      userId
+    );
+    const { data, error } = await db
+      .from(table)
+      .update(changes)
+      .eq(key, row[key])
+      .select("*");
+
+    if (error) {
+      await removeRevisions(revisionIds);
+      throw error;
+    }
+
+    return data[0];
+  };
+
+  const saveContent = (row, content, action, userId, rolledBackTo) => {
+    const before = workingCopy(row, fields);
+    // Fields left out of content keep their value
+    const after = {
+      ...before,
+      ..._.omitBy(_.pick(content, fields), _.isUndefined),
+    };
+    const changes = diffContent(before, after, fields);
+
+    if (changes.length === 0) {
+      return row;
+    }
+
+    const status = contentStatus(row);
+    return update(
+      row,
+      status === CONTENT_STATUS.PUBLISHED ? { draft_data: after } : after,
+      { action, status, data: after, changes, rolledBackTo },
+      userId
+    );
+  };
+
+  /**
+   * Insert new items as drafts, all at once. Resolves to the rows.
+   */
+  const createMany = async (contents, userId) => {
+    const rows = throwIfError(
+      await db
+        .from(table)
+        .insert(
+          contents.map((content) => ({
+            ..._.pick(content, fields),
+            status: CONTENT_STATUS.DRAFT,
+          }))
+        )
+        .select("*")
+    );
+
+    try {
+      await recordRevisions(
+        rows.map((row) => ({
+          id: row[key],
+          action: REVISION_ACTIONS.CREATE,
+          status: CONTENT_STATUS.DRAFT,
+          data: _.pick(row, fields),
+          changes: diffContent(null, row, fields),
+        })),
+        userId
+      );
+    } catch (error) {
+      await db
+        .from(table)
+        .delete()
+        .in(
+          key,
+          rows.map((row) => row[key])
+        );
+      throw error;
+    }
+
+    return rows;
+  };
+
+  /**
+   * Revisions of one item, newest first.
+   */
+  const listRevisions = async (id) =>
+    throwIfError(
+      await db
+        .from("t_content_revision")
+        .select(REVISION_COLUMNS)
+        .eq("content_type", contentType)
+        .eq("content_id", id)
+        .order("revision_id", { ascending: false })
+    );
+
+  return {
+    async load(id) {
+      const rows = throwIfError(
+        await db.from(table).select("*").eq(key, id).limit(1)
+      );
+
+      return rows[0] || null;
+    },
+
+    createMany,
+
+    async create(content, userId) {
+      const [row] = await createMany([content], userId);
+      return row;
+    },
+
+    saveDraft: (row, content, userId) =>
+      saveContent(row, content, REVISION_ACTIONS.UPDATE, userId),
+
+    /**
+     * Make the working copy live.
+     */
+    publish(row, userId) {
+      const content = workingCopy(row, fields);
+
+      return update(
+        row,
+        {
+          ...content,
+          draft_data: null,
+          status: CONTENT_STATUS.PUBLISHED,
+          published_at: new Date().toISOString(),
+        },
+        {
+          action: REVISION_ACTIONS.PUBLISH,
+          status: CONTENT_STATUS.PUBLISHED,
+          data: content,
+          changes:
+            contentStatus(row) === CONTENT_STATUS.PUBLISHED
+              ? diffContent(_.pick(row, fields), content, fields)
+              : diffContent(null, content, fields),
+        },
+        userId
+      );
+    },
+
+    /**
+     * Bring back the content of an earlier revision as the working copy. A
+     * published item keeps its live content until it is published again.
+     */
+    rollback: (row, revision, userId) =>
+      saveContent(
+        row,
+        revision.data,
+        REVISION_ACTIONS.ROLLBACK,
+        userId,
+        revision.revision_id
+      ),
+
+    remove: (row, userId) =>
+      update(
+        row,
+        { deleted_at: new Date().toISOString() },
+        {
+          action: REVISION_ACTIONS.DELETE,
+          status: contentStatus(row),
+          data: workingCopy(row, fields),
+          changes: [],
+        },
+        userId
+      ),
+
+    restore: (row, userId) =>
+      update(
+        row,
+        { deleted_at: null },
+        {
+          action: REVISION_ACTIONS.RESTORE,
+          status: contentStatus(row),
+          data: workingCopy(row, fields),
+          changes: [],
+        },
+        userId
+      ),
+
+    listRevisions,
+
+    /**
+     * One revision of an item, or null if the item has no such revision.
+     */
+    async loadRevision(id, revisionId) {
+      const rows = throwIfError(
+        await db
+          .from("t_content_revision")
+          .select(REVISION_COLUMNS)
+          .eq("content_type", contentType)
+          .eq("content_id", id)
+          .eq("revision_id", revisionId)
+          .limit(1)
+      );
+
+      return rows[0] || null;
+    },
+
+    /**
+     * Compare two revisions of an item given by id. Without toId the latest
+     * revision is used, without fromId the one before it. Resolves to null
+     * when the item has no such revision.
+     */
+    async compare(id, { fromId, toId }) {
+      const revisions = await listRevisions(id);
+      const indexOf = (revisionId) =>
+        revisions.findIndex(
+          (revision) => String(revision.revision_id) === String(revisionId)
+        );
+      const toIndex = toId ? indexOf(toId) : 0;
+      const fromIndex = fromId ? indexOf(fromId) : toIndex + 1;
+
+      if (!revisions[toIndex] || (fromId && fromIndex === -1)) {
+        return null;
+      }
+
+      const from = revisions[fromIndex] || null;
+      const to = revisions[toIndex];
+
+      return {
+        from_revision_id: from ? from.revision_id : null,
+        to_revision_id: to.revision_id,
+        changes: diffContent(from ? from.data : null, to.data, fields),
+      };
+    },
+  };
+};
@@ -0,0 +1,34 @@
+export const ROLES = {
+  LEARNER: "learner",
+  CONTENT_EDITOR: "content_editor",
+  ADMIN: "admin",
+};
+
+export const PERMISSIONS = {
+  CMS_ACCESS: "cms:access",
+  CONTENT_MANAGE: "content:manage",
+  USERS_MANAGE: "users:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.LEARNER]: [],
+  [ROLES.CONTENT_EDITOR]: [PERMISSIONS.CMS_ACCESS, PERMISSIONS.CONTENT_MANAGE],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Resolve the role of an m_users row. `fgAdmin` predates the `role` column
+ * and still wins, so toggling it keeps working as before.
+ */
+export const resolveRole = (user) => {
+  if (user.fgAdmin) {
+    return ROLES.ADMIN;
+  }
+
+  return ROLE_PERMISSIONS[user.role] ? user.role : ROLES.LEARNER;
+};
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export default ROLES;
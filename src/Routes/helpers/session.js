@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const SESSION_COLUMNS =
+  "session_id, user_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at";
+
+// Refresh tokens are only ever stored as a SHA-256 hash
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const signAccessToken = ({ userId, sessionId, isAdmin }) =>
+  jwt.sign(
+    isAdmin
+      ? { userId, sid: sessionId, isAdmin: true }
+      : { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const buildTokens = ({ userId, sessionId, isAdmin, refreshToken }) => {
+  const token = signAccessToken({ userId, sessionId, isAdmin });
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_at: new Date(exp * 1000).toISOString(),
+    session_id: sessionId,
+  };
+};
+
+const refreshExpiry = () =>
+  new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+/**
+ * Start a new device session for a user and issue its first token pair.
+ */
+export const createSession = async ({
+  userId,
+  isAdmin = false,
+  deviceName,
+  userAgent,
+  ipAddress,
+}) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+  const now = new Date().toISOString();
+
+  const { error } = await db.from("t_user_session").insert([
+    {
+      session_id: sessionId,
+      user_id: userId,
+      is_admin: isAdmin,
+      refresh_token_hash: hashToken(refreshToken),
+      device_name: deviceName || null,
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      created_at: now,
+      last_used_at: now,
+      expires_at: refreshExpiry(),
+    },
+  ]);
+
+  if (error) {
+    throw error;
+  }
+
+  return buildTokens({ userId, sessionId, isAdmin, refreshToken });
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented refresh token
+ * is consumed; presenting an already rotated token revokes the whole session.
+ * Returns null when the refresh token is unknown, expired or revoked.
+ */
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: sessions, error } = await db
+    .from("t_user_session")
+    .select("session_id, user_id, is_admin, expires_at, revoked_at")
+    .eq("refresh_token_hash", tokenHash)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!sessions || sessions.length === 0) {
+    // Reuse of a rotated token means it leaked, so kill that session
+    const { data: reused } = await db
+      .from("t_user_session")
+      .select("session_id")
+      .eq("previous_token_hash", tokenHash)
+      .limit(1);
+
+    if (reused && reused.length > 0) {
+      await revokeSession(reused[0].session_id);
+    }
+
+    return null;
+  }
+
+  const session = sessions[0];
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  const { data: updated, error: updateError } = await db
+    .from("t_user_session")
+    .update({
+      refresh_token_hash: hashToken(nextRefreshToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date().toISOString(),
+      expires_at: refreshExpiry(),
+    })
+    .eq("session_id", session.session_id)
+    .eq("refresh_token_hash", tokenHash)
+    .is("revoked_at", null)
+    .select("session_id");
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  // Another request rotated the same token first
+  if (!updated || updated.length === 0) {
+    return null;
+  }
+
+  return buildTokens({
+    userId: session.user_id,
+    sessionId: session.session_id,
+    isAdmin: session.is_admin,
+    refreshToken: nextRefreshToken,
+  });
+};
+
+/**
+ * Revoke a single session. When userId is given the session must belong to
+ * that user. Resolves to true when a session was revoked.
+ */
+export const revokeSession = async (sessionId, userId) => {
+  let query = db
+    .from("t_user_session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("session_id", sessionId)
+    .is("revoked_at", null);
+
+  if (userId !== undefined) {
+    query = query.eq("user_id", userId);
+  }
+
+  const { data, error } = await query.select("session_id");
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one.
+ */
+export const revokeUserSessions = async (userId, exceptSessionId) => {
+  let query = db
+    .from("t_user_session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (exceptSessionId) {
+    query = query.neq("session_id", exceptSessionId);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * List the active (not revoked, not expired) sessions of a user.
+ */
+export const listUserSessions = async (userId) => {
+  const { data, error } = await db
+    .from("t_user_session")
+    .select(SESSION_COLUMNS)
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .order("last_used_at", { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Revocation check used by verifyToken for every authenticated request.
+ */
+export const isSessionActive = async (sessionId) => {
+  const { data, error } = await db
+    .from("t_user_session")
+    .select("session_id")
+    .eq("session_id", sessionId)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+};
+
+export const getClientIp = (req) =>
+  (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+  req.socket?.remoteAddress ||
+  null;
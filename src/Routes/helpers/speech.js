@@ -0,0 +1,41 @@
+import axios from "axios";
+import { config as dotenvConfig } from "dotenv";
+
+dotenvConfig();
+
+const TTS_ENDPOINT =
+  "https://eastasia.tts.speech.microsoft.com/cognitiveservices/v1";
+const TTS_VOICE = "en-US-AvaMultilingualNeural";
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Read a text aloud with Azure text-to-speech. Resolves to an MP3 buffer.
+ */
+export const synthesizeSpeech = async (text) => {
+  const xmlData = `
+              <speak version='1.0' xml:lang='en-US'>
+                  <voice xml:lang='en-US' xml:gender='Female' name='${TTS_VOICE}'>
+                      ${escapeXml(text)}
+                  </voice>
+              </speak>
+            `;
+
+  const response = await axios.post(TTS_ENDPOINT, xmlData, {
+    headers: {
+      "Ocp-Apim-Subscription-Key": process.env.SPEECH_KEY,
+      "Content-Type": "application/ssml+xml",
+      "X-Microsoft-OutputFormat": "audio-16khz-128kbitrate-mono-mp3",
+      "User-Agent": "curl",
+    },
+    responseType: "arraybuffer",
+  });
+
+  return Buffer.from(response.data, "binary");
+};
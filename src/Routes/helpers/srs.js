@@ -0,0 +1,74 @@
+import moment from "moment";
+
+// Cards reviewed at this interval or longer count as mature
+export const MATURE_INTERVAL_DAYS = 21;
+export const MIN_GRADE = 0;
+export const MAX_GRADE = 5;
+// Grades below this are a failed recall
+const PASSING_GRADE = 3;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export const newCard = (now = new Date()) => ({
+  ease_factor: INITIAL_EASE,
+  interval_days: 0,
+  repetitions: 0,
+  lapses: 0,
+  due_at: now.toISOString(),
+  last_reviewed_at: null,
+});
+
+/**
+ * Schedule the next review of a card with the SM-2 algorithm.
+ * grade is the recall quality from 0 (blackout) to 5 (perfect).
+ * Returns the updated scheduling fields of the card.
+ */
+export const scheduleReview = (card, grade, now = new Date()) => {
+  let repetitions = card.repetitions;
+  let intervalDays = card.interval_days;
+  let lapses = card.lapses;
+
+  if (grade < PASSING_GRADE) {
+    // A card that had been learned and is forgotten again is a lapse
+    if (repetitions > 0) {
+      lapses += 1;
+    }
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * card.ease_factor);
+    }
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE,
+    card.ease_factor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    ease_factor: Math.round(easeFactor * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    lapses,
+    due_at: moment(now).add(intervalDays, "days").toISOString(),
+    last_reviewed_at: now.toISOString(),
+  };
+};
+
+/**
+ * new: never reviewed, learning: reviewed but not mature yet, mature:
+ * interval of at least MATURE_INTERVAL_DAYS.
+ */
+export const cardState = (card) => {
+  if (!card.last_reviewed_at) {
+    return "new";
+  }
+
+  return card.interval_days >= MATURE_INTERVAL_DAYS ? "mature" : "learning";
+};
@@ -0,0 +1,83 @@
+import fs from "fs";
+import path from "path";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+
+dotenvConfig();
+
+// Local files live under <cwd>/uploads and are served by index.js
+export const LOCAL_UPLOADS_DIR = path.join(process.cwd(), "uploads");
+
+/**
+ * Storage drivers share one interface:
+ *   save(filePath, buffer, contentType) -> resolves to the public URL
+ *   remove(filePaths) -> resolves once the files are gone
+ */
+const createLocalStorage = () => {
+  const baseUrl = `${
+    process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 2001}`
+  }/uploads`;
+
+  return {
+    async save(filePath, buffer) {
+      const target = path.join(LOCAL_UPLOADS_DIR, filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+      return `${baseUrl}/${filePath}`;
+    },
+
+    async remove(filePaths) {
+      await Promise.all(
+        filePaths.map((filePath) =>
+          fs.promises.rm(path.join(LOCAL_UPLOADS_DIR, filePath), {
+            force: true,
+          })
+        )
+      );
+    },
+  };
+};
+
+const createSupabaseStorage = () => {
+  const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  const bucket = process.env.SUPABASE_STORAGE_BUCKET || "lingopal";
+
+  return {
+    async save(filePath, buffer, contentType) {
+      const { error } = await db.storage
+        .from(bucket)
+        .upload(filePath, buffer, { contentType, upsert: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return db.storage.from(bucket).getPublicUrl(filePath).data.publicUrl;
+    },
+
+    async remove(filePaths) {
+      const { error } = await db.storage.from(bucket).remove(filePaths);
+
+      if (error) {
+        throw error;
+      }
+    },
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage,
+};
+
+// Vercel has a read-only filesystem, so it defaults to Supabase storage
+const driverName =
+  process.env.STORAGE_DRIVER || (process.env.VERCEL ? "supabase" : "local");
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}".`);
+}
+
+export const storage = drivers[driverName]();
+
+export default storage;
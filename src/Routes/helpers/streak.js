@@ -0,0 +1,343 @@
+import moment from "moment";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { fetchAllRows } from "./paging.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const DEFAULT_TIMEZONE = "UTC";
+// A freeze is earned every STREAK_FREEZE_EVERY_DAYS days of streak, and a
+// user can hold at most MAX_STREAK_FREEZES of them
+export const STREAK_FREEZE_EVERY_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+// How far back activity is read; longer streaks are capped at this length
+const STREAK_LOOKBACK_DAYS = 400;
+
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== "string" || timezone === "") {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The calendar day (YYYY-MM-DD) of a timestamp in the given IANA timezone.
+ */
+export const localDay = (date, timezone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+
+// Minutes the timezone is ahead of UTC at the given instant
+const timezoneOffsetMinutes = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+
+  return Math.round((localAsUtc - date.getTime()) / 60000);
+};
+
+/**
+ * The instant a calendar day (YYYY-MM-DD) starts in the given timezone.
+ * The offset is checked again at the result for days a DST change falls on.
+ */
+export const localDayStart = (day, timezone = DEFAULT_TIMEZONE) => {
+  const midnightUtc = moment.utc(day, "YYYY-MM-DD").valueOf();
+  const guess = new Date(
+    midnightUtc - timezoneOffsetMinutes(new Date(midnightUtc), timezone) * 60000
+  );
+
+  return new Date(midnightUtc - timezoneOffsetMinutes(guess, timezone) * 60000);
+};
+
+const nextDay = (day) =>
+  moment.utc(day, "YYYY-MM-DD").add(1, "day").format("YYYY-MM-DD");
+
+/**
+ * When the user's local today starts and when it ends (the start of
+ * tomorrow), in their profile timezone.
+ */
+export const loadLocalToday = async (userId, now = new Date()) => {
+  const { data: users, error } = await db
+    .from("m_users")
+    .select("timezone")
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const timezone = profileTimezone(users[0] || {});
+  const today = localDay(now, timezone);
+
+  return {
+    start: localDayStart(today, timezone),
+    end: localDayStart(nextDay(today), timezone),
+  };
+};
+
+const previousDay = (day) =>
+  moment.utc(day, "YYYY-MM-DD").subtract(1, "day").format("YYYY-MM-DD");
+
+/**
+ * Streak lengths from sets of active and frozen days (YYYY-MM-DD). A frozen
+ * day keeps the streak alive without adding to it. The current streak is
+ * still alive while today has no activity yet.
+ */
+export const computeStreak = ({ activeDays, frozenDays, today }) => {
+  const active = new Set(activeDays);
+  const frozen = new Set(frozenDays);
+
+  let current = 0;
+  let day = active.has(today) ? today : previousDay(today);
+  while (active.has(day) || frozen.has(day)) {
+    if (active.has(day)) {
+      current += 1;
+    }
+    day = previousDay(day);
+  }
+
+  let longest = 0;
+  let run = 0;
+  [...new Set([...active, ...frozen])]
+    .sort()
+    .forEach((activeDay, index, days) => {
+      const continues = index > 0 && previousDay(activeDay) === days[index - 1];
+      run = continues ? run : 0;
+      if (active.has(activeDay)) {
+        run += 1;
+      }
+      longest = Math.max(longest, run);
+    });
+
+  return {
+    current_streak: current,
+    longest_streak: longest,
+    is_active_today: active.has(today),
+  };
+};
+
+/**
+ * The missed days that freezes should cover, newest first: the days between
+ * the last active (or frozen) day and yesterday, if there are no more of them
+ * than available freezes. Returns [] when nothing can or needs to be frozen.
+ */
+export const planFreezes = ({ activeDays, frozenDays, today, available }) => {
+  const covered = new Set([...activeDays, ...frozenDays]);
+  const missed = [];
+  let day = previousDay(today);
+
+  while (!covered.has(day)) {
+    if (missed.length >= available) {
+      return [];
+    }
+    missed.push(day);
+    day = previousDay(day);
+  }
+
+  return missed;
+};
+
+const profileTimezone = (profile) =>
+  isValidTimezone(profile.timezone) ? profile.timezone : DEFAULT_TIMEZONE;
+
+/**
+ * Whether the ledger already has an event of the user on their local today.
+ */
+export const hasActivityToday = async (userId) => {
+  const [user, latest] = await Promise.all([
+    db.from("m_users").select("timezone").eq("user_id", userId).limit(1),
+    db
+      .from("t_xp_event")
+      .select("created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1),
+  ]);
+
+  for (const result of [user, latest]) {
+    if (result.error) {
+      throw result.error;
+    }
+  }
+
+  const timezone = profileTimezone(user.data[0] || {});
+  return (
+    latest.data.length > 0 &&
+    localDay(latest.data[0].created_at, timezone) ===
+      localDay(new Date(), timezone)
+  );
+};
+
+const loadStreakData = async (userId) => {
+  const since = moment.utc().subtract(STREAK_LOOKBACK_DAYS, "days");
+
+  // Every activity, including the zero-XP kind, is an event in the ledger
+  const [user, events, freezes] = await Promise.all([
+    db
+      .from("m_users")
+      .select("timezone, streak_freezes, streak_freeze_awarded_on")
+      .eq("user_id", userId)
+      .limit(1),
+    fetchAllRows(() =>
+      db
+        .from("t_xp_event")
+        .select("created_at")
+        .eq("user_id", userId)
+        .gte("created_at", since.toISOString())
+        .order("created_at", { ascending: false })
+    ),
+    db
+      .from("t_streak_freeze")
+      .select("frozen_on")
+      .eq("user_id", userId)
+      .gte("frozen_on", since.format("YYYY-MM-DD")),
+  ]);
+
+  for (const result of [user, freezes]) {
+    if (result.error) {
+      throw result.error;
+    }
+  }
+
+  const profile = user.data[0] || {};
+  const timezone = profileTimezone(profile);
+
+  return {
+    timezone,
+    freezesAvailable: profile.streak_freezes || 0,
+    freezeAwardedOn: profile.streak_freeze_awarded_on || null,
+    activeDays: [
+      ...new Set(events.map((event) => localDay(event.created_at, timezone))),
+    ],
+    frozenDays: freezes.data.map((freeze) => freeze.frozen_on),
+    today: localDay(new Date(), timezone),
+  };
+};
+
+// Only a streak that exists is worth protecting
+const missedDays = (data) =>
+  data.activeDays.length > 0
+    ? planFreezes({ ...data, available: data.freezesAvailable })
+    : [];
+
+/**
+ * The user's streak without changing anything. Missed days that freezes
+ * will cover on the next activity already count as frozen.
+ */
+export const loadStreak = async (userId) => {
+  const data = await loadStreakData(userId);
+  const missed = missedDays(data);
+
+  return {
+    ...computeStreak({
+      ...data,
+      frozenDays: [...data.frozenDays, ...missed],
+    }),
+    freezes_available: data.freezesAvailable - missed.length,
+    timezone: data.timezone,
+  };
+};
+
+/**
+ * Spend freezes on missed days that would otherwise break the streak, award
+ * a freeze on streak milestones, then return the streak status. Called when
+ * activity is recorded, never by reads.
+ */
+export const refreshStreak = async (userId) => {
+  const data = await loadStreakData(userId);
+  let freezesAvailable = data.freezesAvailable;
+  let freezeAwardedOn = data.freezeAwardedOn;
+  const missed = missedDays(data);
+  let newlyFrozenDays = [];
+
+  if (missed.length > 0) {
+    // (user_id, frozen_on) is unique, so a day frozen by a concurrent
+    // refresh is skipped and only the days inserted here are paid for
+    const { data: frozen, error } = await db
+      .from("t_streak_freeze")
+      .upsert(
+        missed.map((day) => ({
+          user_id: userId,
+          frozen_on: day,
+          created_at: new Date().toISOString(),
+        })),
+        { onConflict: "user_id,frozen_on", ignoreDuplicates: true }
+      )
+      .select("frozen_on");
+
+    if (error) {
+      throw error;
+    }
+
+    newlyFrozenDays = frozen.map((freeze) => freeze.frozen_on);
+    freezesAvailable -= newlyFrozenDays.length;
+    data.frozenDays = [...data.frozenDays, ...missed];
+  }
+
+  const streak = computeStreak(data);
+
+  if (
+    streak.is_active_today &&
+    streak.current_streak > 0 &&
+    streak.current_streak % STREAK_FREEZE_EVERY_DAYS === 0 &&
+    freezeAwardedOn !== data.today &&
+    freezesAvailable < MAX_STREAK_FREEZES
+  ) {
+    freezesAvailable += 1;
+    freezeAwardedOn = data.today;
+  }
+
+  if (
+    freezesAvailable !== data.freezesAvailable ||
+    freezeAwardedOn !== data.freezeAwardedOn
+  ) {
+    const { error } = await db
+      .from("m_users")
+      .update({
+        streak_freezes: freezesAvailable,
+        streak_freeze_awarded_on: freezeAwardedOn,
+      })
+      .eq("user_id", userId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  return {
+    ...streak,
+    freezes_available: freezesAvailable,
+    newly_frozen_days: newlyFrozenDays,
+    timezone: data.timezone,
+  };
+};
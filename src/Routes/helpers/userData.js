@@ -0,0 +1,107 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { storage } from "./storage.js";
+import { avatarFilePaths } from "./avatar.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const PROFILE_COLUMNS =
+  "user_id, name, email, birth_date, image, fgVerified, user_last_login, timezone, leaderboard_opt_out, deletion_requested_at, deletion_scheduled_at";
+
+// Every table holding personal data keyed by user_id. Both the data export
+// and the account purge walk this list, so new per-user tables belong here.
+export const USER_DATA_TABLES = [
+  { table: "t_user_progress", key: "progress" },
+  { table: "t_user_course_progress", key: "course_progress" },
+  { table: "t_user_practice_progress", key: "practice_progress" },
+  { table: "t_quiz_attempt", key: "quiz_attempts" },
+  { table: "t_quiz_attempt_answer", key: "quiz_answers" },
+  { table: "t_user_word_card", key: "word_deck" },
+  { table: "t_user_word_review", key: "word_reviews" },
+  { table: "t_speech_assessment", key: "speech_assessments" },
+  { table: "t_user_badge", key: "badges" },
+  { table: "t_xp_event", key: "xp_events" },
+  { table: "t_streak_freeze", key: "streak_freezes" },
+  { table: "t_leaderboard_score", key: "leaderboard_scores" },
+  { table: "t_placement_session", key: "placement_sessions" },
+  {
+    table: "t_user_session",
+    key: "sessions",
+    columns:
+      "session_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at",
+  },
+];
+
+/**
+ * Collect everything stored about a user into one JSON-serializable object.
+ */
+export const exportUserData = async (userId) => {
+  const { data: profile, error } = await db
+    .from("m_users")
+    .select(PROFILE_COLUMNS)
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const archive = {
+    exported_at: new Date().toISOString(),
+    profile: profile[0] || null,
+  };
+
+  for (const { table, key, columns } of USER_DATA_TABLES) {
+    const { data, error: tableError } = await db
+      .from(table)
+      .select(columns || "*")
+      .eq("user_id", userId);
+
+    if (tableError) {
+      throw tableError;
+    }
+
+    archive[key] = data;
+  }
+
+  return archive;
+};
+
+/**
+ * Permanently delete a user, every row registered in USER_DATA_TABLES and
+ * their uploaded profile image. Tables are emptied in reverse order so
+ * dependent rows go first.
+ */
+export const purgeUserData = async (userId) => {
+  const { data: users, error: userError } = await db
+    .from("m_users")
+    .select("image")
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (userError) {
+    throw userError;
+  }
+
+  // Deleted first: once the row is gone nothing points at the files any more
+  const avatarFiles = avatarFilePaths(users[0] && users[0].image, userId);
+  if (avatarFiles.length > 0) {
+    await storage.remove(avatarFiles);
+  }
+
+  for (const { table } of [...USER_DATA_TABLES].reverse()) {
+    const { error } = await db.from(table).delete().eq("user_id", userId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  const { error } = await db.from("m_users").delete().eq("user_id", userId);
+
+  if (error) {
+    throw error;
+  }
+};
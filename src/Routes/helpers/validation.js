@@ -0,0 +1,187 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+// Query strings and path params are always strings, so values are coerced to
+// the schema type; defaults fill in missing fields
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  strict: false,
+});
+addFormats(ajv);
+
+const REQUEST_PARTS = ["params", "query", "body"];
+// Where each request part goes in an OpenAPI operation
+const PARAMETER_LOCATIONS = { params: "path", query: "query" };
+
+const schemaNames = new Map();
+
+// Named schemas, published by index.js as Swagger components.schemas
+export const requestSchemas = {};
+
+/**
+ * Register a schema under a name so the Swagger spec can refer to it.
+ */
+export const defineSchema = (name, schema) => {
+  requestSchemas[name] = schema;
+  schemaNames.set(schema, name);
+  return schema;
+};
+
+// Building blocks for route schemas
+export const idSchema = { type: "integer", minimum: 1 };
+export const textSchema = { type: "string", minLength: 1 };
+export const emailSchema = { type: "string", format: "email" };
+export const dateSchema = { type: "string", format: "date" };
+export const dateTimeSchema = { type: "string", format: "date-time" };
+
+/**
+ * An object schema. required lists the properties that must be present.
+ */
+export const objectSchema = (properties, required = []) => ({
+  type: "object",
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+});
+
+const fieldErrors = (part, errors) =>
+  errors.map((error) => {
+    const path = error.instancePath.split("/").filter(Boolean);
+
+    if (error.keyword === "required") {
+      path.push(error.params.missingProperty);
+    }
+
+    const field = path.join(".") || part;
+    return {
+      field,
+      in: part,
+      message:
+        error.keyword === "required"
+          ? `${field} is required`
+          : `${field} ${error.message}`,
+    };
+  });
+
+/**
+ * Validate the params, query and body of a request against JSON schemas:
+ *   validate({ params, query, body })
+ * Values are coerced and defaulted in place. Invalid requests get a 400
+ * with every field error: { status, error, errors: [{ field, in, message }] }.
+ */
+export const validate = (schemas) => {
+  const validators = REQUEST_PARTS.filter((part) => schemas[part]).map(
+    (part) => [part, ajv.compile(schemas[part])]
+  );
+
+  const middleware = (req, res, next) => {
+    const errors = validators.flatMap(([part, check]) => {
+      if (req[part] === undefined || req[part] === null) {
+        req[part] = {};
+      }
+
+      return check(req[part]) ? [] : fieldErrors(part, check.errors);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 400,
+        error: "Bad Request: invalid input",
+        errors,
+      });
+    }
+
+    next();
+  };
+
+  middleware.requestSchemas = schemas;
+  return middleware;
+};
+
+const schemaOrRef = (schema) =>
+  schemaNames.has(schema)
+    ? { $ref: `#/components/schemas/${schemaNames.get(schema)}` }
+    : schema;
+
+/**
+ * Document the validated inputs of every route in a swagger-jsdoc spec.
+ * mounts is [[path, router]] as mounted in index.js. Only routes that already
+ * have a @swagger block are touched: their request body and their
+ * parameters of the same name are replaced by the validation schemas.
+ */
+export const applyRequestSchemas = (spec, mounts) => {
+  mounts.forEach(([basePath, router]) => {
+    router.stack
+      .filter((layer) => layer.route)
+      .forEach(({ route }) => {
+        const validator = route.stack.find(
+          (layer) => layer.handle.requestSchemas
+        );
+
+        if (!validator) {
+          return;
+        }
+
+        const schemas = validator.handle.requestSchemas;
+        const path = `${basePath}${route.path === "/" ? "" : route.path}`
+          .replace(/:(\w+)/g, "{$1}")
+          .replace(/\/$/, "");
+
+        Object.keys(route.methods).forEach((method) => {
+          const operation = spec.paths[path] && spec.paths[path][method];
+
+          if (!operation) {
+            return;
+          }
+
+          Object.entries(PARAMETER_LOCATIONS).forEach(([part, location]) => {
+            const schema = schemas[part];
+            if (!schema) {
+              return;
+            }
+
+            const existing = operation.parameters || [];
+            const generated = Object.entries(schema.properties).map(
+              ([name, property]) => {
+                const documented = existing.find(
+                  (p) => p.in === location && p.name === name
+                );
+                return {
+                  in: location,
+                  name,
+                  required:
+                    location === "path" ||
+                    (schema.required || []).includes(name),
+                  schema: property,
+                  ...(documented && documented.description
+                    ? { description: documented.description }
+                    : {}),
+                };
+              }
+            );
+
+            operation.parameters = [
+              ...existing.filter(
+                (p) =>
+                  !generated.some((g) => g.in === p.in && g.name === p.name)
+              ),
+              ...generated,
+            ];
+          });
+
+          if (schemas.body) {
+            operation.requestBody = {
+              ...operation.requestBody,
+              required: Boolean(
+                schemas.body.required && schemas.body.required.length
+              ),
+              content: {
+                "application/json": { schema: schemaOrRef(schemas.body) },
+              },
+            };
+          }
+        });
+      });
+  });
+};
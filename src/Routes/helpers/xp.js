@@ -0,0 +1,146 @@
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { refreshStreak, hasActivityToday, loadLocalToday } from "./streak.js";
+import { refreshLeaderboardScores } from "./leaderboard.js";
+
+dotenvConfig();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+export const XP_SOURCES = {
+  PRACTICE: "practice",
+  QUIZ: "quiz",
+  CHAT: "chat",
+  SPEECH: "speech",
+  REVIEW: "review",
+};
+
+// Fixed rewards for sources that have no score of their own
+export const CHAT_MESSAGE_XP = 1;
+export const SPEECH_ASSESSMENT_XP = 5;
+// XP from these sources is capped per local day so it cannot be farmed
+export const CHAT_XP_DAILY_CAP = 20;
+export const SPEECH_XP_DAILY_CAP = 50;
+
+const DAILY_XP_CAPS = {
+  [XP_SOURCES.CHAT]: { reward: CHAT_MESSAGE_XP, cap: CHAT_XP_DAILY_CAP },
+  [XP_SOURCES.SPEECH]: {
+    reward: SPEECH_ASSESSMENT_XP,
+    cap: SPEECH_XP_DAILY_CAP,
+  },
+};
+
+const EVENT_COLUMNS = "xp_event_id, source, amount, reference_id, created_at";
+
+const insertEvent = async (row) => {
+  const { data: event, error } = await db
+    .from("t_xp_event")
+    .insert(row)
+    .select(EVENT_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  return event[0];
+};
+
+/**
+ * Insert a capped event into the next free reward slot of the user's local
+ * today. (user_id, cap_slot) is unique, so concurrent awards cannot take the
+ * same slot and a day never holds more than cap / reward paid events.
+ * Resolves to the event, or null once every slot is taken.
+ */
+const insertCappedEvent = async (userId, row, { reward, cap }) => {
+  const { start } = await loadLocalToday(userId);
+  const slotPrefix = `${row.source}:${start.toISOString()}`;
+
+  const { count, error } = await db
+    .from("t_xp_event")
+    .select("xp_event_id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .like("cap_slot", `${slotPrefix}:%`);
+
+  if (error) {
+    throw error;
+  }
+
+  // A slot taken by a concurrent award inserts nothing; try the next one
+  for (let slot = count + 1; slot <= Math.floor(cap / reward); slot += 1) {
+    const { data: event, error: insertError } = await db
+      .from("t_xp_event")
+      .upsert(
+        {
+          ...row,
+          amount: Math.min(row.amount, reward),
+          cap_slot: `${slotPrefix}:${slot}`,
+        },
+        { onConflict: "user_id,cap_slot", ignoreDuplicates: true }
+      )
+      .select(EVENT_COLUMNS);
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    if (event.length > 0) {
+      return event[0];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Append an event to the XP ledger, optionally tagged with the course
+ * category it was earned in, then refresh the streak and leaderboards. The
+ * ledger is never updated or deleted from (other than by an account purge).
+ * Activity worth nothing, or past its source's daily cap, is still recorded
+ * as a zero-XP event, once per day, because the streak counts the days with
+ * events. Like badge awarding, a failure is logged and never fails the
+ * request that earned the XP; resolves to the stored event or null.
+ */
+export const recordXpEvent = async (
+  userId,
+  { source, amount, referenceId, courseCategoryId }
+) => {
+  try {
+    const xp = Math.floor(Number(amount) || 0);
+    const row = {
+      user_id: userId,
+      source,
+      reference_id:
+        referenceId === undefined || referenceId === null
+          ? null
+          : String(referenceId),
+      course_category_id: courseCategoryId || null,
+      created_at: new Date().toISOString(),
+    };
+    const dailyCap = DAILY_XP_CAPS[source];
+
+    let event = null;
+    if (xp > 0) {
+      event = dailyCap
+        ? await insertCappedEvent(userId, { ...row, amount: xp }, dailyCap)
+        : await insertEvent({ ...row, amount: xp });
+    }
+
+    if (!event) {
+      if (await hasActivityToday(userId)) {
+        return null;
+      }
+      event = await insertEvent({ ...row, amount: 0 });
+    }
+
+    // Spend streak freezes and award milestones as soon as activity happens
+    await refreshStreak(userId);
+    if (event.amount > 0) {
+      await refreshLeaderboardScores(userId);
+    }
+
+    return event;
+  } catch (error) {
+    console.error("Error recording XP event:", error);
+    return null;
+  }
+};
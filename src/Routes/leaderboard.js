@@ -0,0 +1,265 @@
+import express from "express";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { verifyToken, requirePermission } from "./helpers/middleware.js";
+import { PERMISSIONS } from "./helpers/roles.js";
+import { validate, objectSchema, idSchema } from "./helpers/validation.js";
+import {
+  LEADERBOARD_PERIODS,
+  ALL_CATEGORIES,
+  loadLeaderboard,
+  refreshLeaderboardScores,
+  setLeaderboardOptOut,
+} from "./helpers/leaderboard.js";
+
+dotenvConfig();
+const leaderboardRouter = express.Router();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const REBUILD_BATCH_SIZE = 100;
+
+/**
+ * @swagger
+ * /api/leaderboard:
+ *   get:
+ *     summary: Retrieve a leaderboard
+ *     description: Top learners of the current week or month (by XP earned in the period) or of all time (by points), optionally within a course category or level. The caller's own rank is always included, even outside the top entries. Users who opted out, are banned or are suspended are not listed.
+ *     tags:
+ *      - Leaderboard
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, all_time]
+ *           default: weekly
+ *       - in: query
+ *         name: course_category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: level_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: The leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: string
+ *                 period_start:
+ *                   type: string
+ *                   format: date
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       user_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       image:
+ *                         type: string
+ *                       score:
+ *                         type: integer
+ *                 me:
+ *                   type: object
+ *                   properties:
+ *                     rank:
+ *                       type: integer
+ *                       nullable: true
+ *                     score:
+ *                       type: integer
+ *                     is_hidden:
+ *                       type: boolean
+ *       '400':
+ *         description: Invalid period.
+ *       '500':
+ *         description: Internal server error
+ */
+leaderboardRouter.get(
+  "/",
+  verifyToken,
+  validate({
+    query: objectSchema({
+      period: {
+        type: "string",
+        enum: Object.values(LEADERBOARD_PERIODS),
+        default: LEADERBOARD_PERIODS.WEEKLY,
+      },
+      course_category_id: idSchema,
+      level_id: idSchema,
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        default: DEFAULT_LIMIT,
+      },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { period, course_category_id, level_id, limit } = req.query;
+
+      const leaderboard = await loadLeaderboard({
+        period,
+        categoryId: course_category_id || ALL_CATEGORIES,
+        levelId: level_id || null,
+        limit,
+        userId: req.user.userId,
+      });
+
+      return res.status(200).json({
+        status: 200,
+        body: leaderboard,
+      });
+    } catch (error) {
+      console.error("Error fetching leaderboard:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/leaderboard/opt-out:
+ *   post:
+ *     summary: Hide me from leaderboards
+ *     description: Opted-out users are not listed and not counted in other users' ranks. They still see their own score.
+ *     tags:
+ *      - Leaderboard
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               opt_out:
+ *                 type: boolean
+ *             required:
+ *               - opt_out
+ *     responses:
+ *       '200':
+ *         description: Preference saved.
+ *       '400':
+ *         description: opt_out is not a boolean.
+ *       '500':
+ *         description: Internal server error
+ */
+leaderboardRouter.post(
+  "/opt-out",
+  verifyToken,
+  validate({
+    body: objectSchema({ opt_out: { type: "boolean" } }, ["opt_out"]),
+  }),
+  async (req, res) => {
+    try {
+      const { opt_out } = req.body;
+
+      await setLeaderboardOptOut(req.user.userId, opt_out);
+
+      return res.status(200).json({
+        status: 200,
+        message: opt_out
+          ? "You are hidden from leaderboards"
+          : "You are shown on leaderboards",
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/leaderboard/admin/rebuild:
+ *   post:
+ *     summary: Rebuild leaderboard scores
+ *     description: Recompute the current leaderboard rows of the next 100 users, in user id order after `after_user_id`. Call again with the returned `next_after_user_id` until it is null to rebuild every user. Scores are kept up to date as XP is earned, so this is only needed after a data fix or to backfill existing users.
+ *     tags:
+ *      - Leaderboard
+ *     parameters:
+ *       - in: query
+ *         name: after_user_id
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Number of users refreshed and where the next batch starts.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage users.
+ *       '500':
+ *         description: Internal server error
+ */
+leaderboardRouter.post(
+  "/admin/rebuild",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    query: objectSchema({
+      after_user_id: { type: "integer", minimum: 0, default: 0 },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { data: users, error } = await db
+        .from("t_user_progress")
+        .select("user_id")
+        .gt("user_id", req.query.after_user_id)
+        .order("user_id", { ascending: true })
+        .limit(REBUILD_BATCH_SIZE);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const { user_id } of users) {
+        await refreshLeaderboardScores(user_id);
+      }
+
+      const done = users.length < REBUILD_BATCH_SIZE;
+      return res.status(200).json({
+        status: 200,
+        message: done ? "Leaderboards rebuilt" : "Batch rebuilt",
+        data: {
+          users: users.length,
+          next_after_user_id: done ? null : users[users.length - 1].user_id,
+        },
+      });
+    } catch (error) {
+      console.error("Error rebuilding leaderboards:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default leaderboardRouter;
@@ -1,19 +1,81 @@
 import express from "express";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
-import { verifyToken } from "./helpers/middleware.js";
+import { verifyToken, requirePermission } from "./helpers/middleware.js";
+import { PERMISSIONS } from "./helpers/roles.js";
+import {
+  CONTENT_STATUS,
+  DELETED_STATUS,
+  contentStatus,
+  withContentStatus,
+  createVersionedContent,
+  publishedOnly,
+} from "./helpers/revisions.js";
+import {
+  validate,
+  objectSchema,
+  idSchema,
+  textSchema,
+} from "./helpers/validation.js";
 
 dotenvConfig();
 const materialResourceRouter = express.Router();
 
 const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+// The versioned content of a material, see helpers/revisions.js
+const MATERIAL_CONTENT_FIELDS = [
+  "title",
+  "type",
+  "category",
+  "source",
+  "cover",
+  "content",
+  "description",
+];
+const materialContent = createVersionedContent({
+  contentType: "material_resource",
+  table: "m_material_resource",
+  key: "id",
+  fields: MATERIAL_CONTENT_FIELDS,
+});
+
+const materialIdParams = objectSchema({ id: idSchema }, ["id"]);
+const optionalTextSchema = { type: "string", nullable: true };
+const MATERIAL_INPUT_PROPERTIES = {
+  title: textSchema,
+  type: textSchema,
+  category: optionalTextSchema,
+  source: optionalTextSchema,
+  cover: optionalTextSchema,
+  content: optionalTextSchema,
+  description: optionalTextSchema,
+};
+
+/**
+ * Load a material for the admin routes, or send the 404. Deleted materials
+ * are only found when `deleted` is true.
+ */
+const loadAdminMaterial = async (res, id, { deleted = false } = {}) => {
+  const material = await materialContent.load(id);
+
+  if (!material || Boolean(material.deleted_at) !== deleted) {
+    res.status(404).json({
+      status: 404,
+      message: deleted ? "No deleted material with this ID" : "Data not found",
+    });
+    return null;
+  }
+
+  return material;
+};
+
 /**
  * @swagger
  * /api/material-resource:
  *   get:
  *     summary: Retrieve a list of materials resource
- *     description: Retrieve a list of materials resource from the database.
+ *     description: Retrieve the published materials resource from the database.
  *     tags:
  *      - Material Resource
  *     parameters:
@@ -35,41 +97,50 @@ const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
  *             schema:
  *               type: array
  */
-materialResourceRouter.get("/", async (req, res) => {
-  try {
-    const { type, search } = req.query;
+materialResourceRouter.get(
+  "/",
+  validate({
+    query: objectSchema({
+      type: { type: "string" },
+      search: { type: "string" },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { type, search } = req.query;
 
-    const query = db.from("m_material_resource").select("*");
+      const query = publishedOnly(db.from("m_material_resource").select("*"));
 
-    if (type) {
-      query.eq("type", type);
-    }
+      if (type) {
+        query.eq("type", type);
+      }
 
-    if (search) {
-      query.like("title", `%${search}%`);
-    }
+      if (search) {
+        query.like("title", `%${search}%`);
+      }
 
-    // Execute the query
-    const { data } = await query;
+      // Execute the query
+      const { data } = await query;
 
-    return res.status(200).json({
-      status: 200,
-      body: data,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+      return res.status(200).json({
+        status: 200,
+        body: data,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
  * /api/material-resource/admin/create:
  *   post:
  *     summary: Create a new material resource
- *     description: Add a new material resource to the database.
+ *     description: Add a new material resource to the database as a draft; learners see it once it is published.
  *     tags:
  *      - Material Resource
  *     requestBody:
@@ -109,40 +180,48 @@ materialResourceRouter.get("/", async (req, res) => {
  *                   type: object
  *       '500':
  *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
  */
-materialResourceRouter.post("/admin/create", async (req, res) => {
-  try {
-    const { title, type, category, source, cover, content, description } =
-      req.body;
-
-    const { data, error } = await db
-      .from("m_material_resource")
-      .insert([{ title, type, category, source, cover, content, description }])
-      .select("*");
-
-    if (error) {
-      throw error;
-    }
+materialResourceRouter.post(
+  "/admin/create",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    body: objectSchema(MATERIAL_INPUT_PROPERTIES, ["title", "type"]),
+  }),
+  async (req, res) => {
+    try {
+      const { title, type, category, source, cover, content, description } =
+        req.body;
 
-    return res.status(200).json({
-      status: 200,
-      message: "New material created successfully",
-      data: data,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
-    });
+      const created = await materialContent.create(
+        { title, type, category, source, cover, content, description },
+        req.user.userId
+      );
+
+      return res.status(200).json({
+        status: 200,
+        message: "New material created successfully",
+        data: [created],
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
  * /api/material-resource/admin/update:
  *   put:
  *     summary: Update an existing material resource
- *     description: Update an existing material resource in the database.
+ *     description: Update an existing material resource in the database. A draft is changed in place; changes to a published material are kept in `draft_data` until it is published again, so learners never see unpublished edits.
  *     tags:
  *      - Material Resource
  *     requestBody:
@@ -189,57 +268,56 @@ materialResourceRouter.post("/admin/create", async (req, res) => {
  *         description: Data not found
  *       '500':
  *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
  */
-materialResourceRouter.put("/admin/update", async (req, res) => {
-  try {
-    const { id, title, type, category, source, cover, content, description } =
-      req.body;
-
-    if (!id) {
-      return res.status(400).json({
-        status: 400,
-        message: "ID is required in the request body",
-      });
-    }
+materialResourceRouter.put(
+  "/admin/update",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    body: objectSchema({ id: idSchema, ...MATERIAL_INPUT_PROPERTIES }, ["id"]),
+  }),
+  async (req, res) => {
+    try {
+      const { id, title, type, category, source, cover, content, description } =
+        req.body;
 
-    const { data, error } = await db
-      .from("m_material_resource")
-      .update({ title, type, category, source, cover, content, description })
-      .match({ id: id })
-      .select("*");
+      const existing = await loadAdminMaterial(res, id);
 
-    if (error) {
-      throw error;
-    }
+      if (!existing) {
+        return;
+      }
+
+      const updated = await materialContent.saveDraft(
+        existing,
+        { title, type, category, source, cover, content, description },
+        req.user.userId
+      );
 
-    // If no data is returned
-    if (data.length === 0) {
-      return res.status(404).json({
-        status: 404,
-        message: "Data not found",
+      // Return the updated data
+      return res.status(200).json({
+        status: 200,
+        message: "New material updated successfully",
+        data: [updated],
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
       });
     }
-
-    // Return the updated data
-    return res.status(200).json({
-      status: 200,
-      message: "New material updated successfully",
-      data: data,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
-    });
   }
-});
+);
 
 /**
  * @swagger
  * /api/material-resource/admin/delete/{id}:
  *   delete:
  *     summary: Delete a material resource
- *     description: Delete a material resource from the database by ID.
+ *     description: Move a material resource to the trash by ID. Learners no longer see it and it can be restored with /api/material-resource/admin/restore.
  *     tags:
  *      - Material Resource
  *     parameters:
@@ -254,36 +332,439 @@ materialResourceRouter.put("/admin/update", async (req, res) => {
  *         description: Material deleted successfully.
  *       '400':
  *         description: ID is required
+ *       '404':
+ *         description: Material not found or already deleted.
  *       '500':
  *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
  */
-materialResourceRouter.delete("/admin/delete/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!id) {
-      return res.status(400).json({
-        status: 400,
-        message: "ID is required",
+materialResourceRouter.delete(
+  "/admin/delete/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: materialIdParams }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const existing = await loadAdminMaterial(res, id);
+
+      if (!existing) {
+        return;
+      }
+
+      await materialContent.remove(existing, req.user.userId);
+
+      return res
+        .status(200)
+        .json({ message: "Material deleted successfully." });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
       });
     }
+  }
+);
+
+/**
+ * @swagger
+ * /api/material-resource/admin/list:
+ *   get:
+ *     summary: List materials resource for admins
+ *     description: Every material with its status and pending draft, including drafts. Deleted materials are listed with `status=deleted`.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, deleted]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The materials.
+ *       '400':
+ *         description: Unknown status.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.get(
+  "/admin/list",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    query: objectSchema({
+      status: {
+        type: "string",
+        enum: [...Object.values(CONTENT_STATUS), DELETED_STATUS],
+      },
+      type: { type: "string" },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { status, type } = req.query;
+
+      let query = withContentStatus(
+        db.from("m_material_resource").select("*"),
+        status
+      ).order("id", { ascending: true });
 
-    const { error } = await db
-      .from("m_material_resource")
-      .delete()
-      .eq("id", id);
+      if (type) {
+        query = query.eq("type", type);
+      }
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: data,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
     }
+  }
+);
 
-    return res.status(200).json({ message: "Material deleted successfully." });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
-    });
+/**
+ * @swagger
+ * /api/material-resource/admin/publish/{id}:
+ *   post:
+ *     summary: Publish a material resource
+ *     description: Make a draft material, or the pending draft of a published material, visible to learners.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Material published.
+ *       '400':
+ *         description: The material is published and has no pending changes.
+ *       '404':
+ *         description: Data not found
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.post(
+  "/admin/publish/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: materialIdParams }),
+  async (req, res) => {
+    try {
+      const material = await loadAdminMaterial(res, req.params.id);
+
+      if (!material) {
+        return;
+      }
+
+      if (
+        contentStatus(material) === CONTENT_STATUS.PUBLISHED &&
+        !material.draft_data
+      ) {
+        return res.status(400).json({
+          status: 400,
+          message: "The material has no changes to publish",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Material published successfully",
+        data: await materialContent.publish(material, req.user.userId),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
   }
-});
+);
+
+/**
+ * @swagger
+ * /api/material-resource/admin/restore/{id}:
+ *   post:
+ *     summary: Restore a deleted material resource
+ *     description: Take a material out of the trash with the status it had.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Material restored.
+ *       '404':
+ *         description: No deleted material with this ID.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.post(
+  "/admin/restore/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: materialIdParams }),
+  async (req, res) => {
+    try {
+      const material = await loadAdminMaterial(res, req.params.id, {
+        deleted: true,
+      });
+
+      if (!material) {
+        return;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Material restored successfully",
+        data: await materialContent.restore(material, req.user.userId),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/material-resource/admin/revisions/{id}:
+ *   get:
+ *     summary: Revision history of a material resource
+ *     description: Every change to a material, newest first, with who made it, when, the fields that changed and the full content after the change.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The revisions.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.get(
+  "/admin/revisions/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: materialIdParams }),
+  async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 200,
+        data: await materialContent.listRevisions(req.params.id),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/material-resource/admin/revisions/{id}/diff:
+ *   get:
+ *     summary: Compare two revisions of a material resource
+ *     description: The fields that differ between two revisions. Without `to` the latest revision is used, without `from` the revision before `to`.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Revision ID to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Revision ID to compare to
+ *     responses:
+ *       '200':
+ *         description: The differences as a list of { field, from, to }.
+ *       '404':
+ *         description: The material has no such revision.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.get(
+  "/admin/revisions/:id/diff",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    params: materialIdParams,
+    query: objectSchema({ from: idSchema, to: idSchema }),
+  }),
+  async (req, res) => {
+    try {
+      const comparison = await materialContent.compare(req.params.id, {
+        fromId: req.query.from,
+        toId: req.query.to,
+      });
+
+      if (!comparison) {
+        return res.status(404).json({
+          status: 404,
+          message: "Revision not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        data: comparison,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/material-resource/admin/rollback/{id}:
+ *   post:
+ *     summary: Roll a material resource back to an earlier revision
+ *     description: Bring back the content of an earlier revision. Like an update, it replaces a draft and becomes the pending draft of a published material, so it goes live when the material is published.
+ *     tags:
+ *      - Material Resource
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               revision_id:
+ *                 type: integer
+ *             required:
+ *               - revision_id
+ *     responses:
+ *       '200':
+ *         description: The material with the content of the revision.
+ *       '400':
+ *         description: revision_id is required.
+ *       '404':
+ *         description: Material or revision not found.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+materialResourceRouter.post(
+  "/admin/rollback/:id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    params: materialIdParams,
+    body: objectSchema({ revision_id: idSchema }, ["revision_id"]),
+  }),
+  async (req, res) => {
+    try {
+      const { revision_id } = req.body;
+
+      const material = await loadAdminMaterial(res, req.params.id);
+
+      if (!material) {
+        return;
+      }
+
+      const revision = await materialContent.loadRevision(
+        material.id,
+        revision_id
+      );
+
+      if (!revision) {
+        return res.status(404).json({
+          status: 404,
+          message: "Revision not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Material rolled back successfully",
+        data: await materialContent.rollback(
+          material,
+          revision,
+          req.user.userId
+        ),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
 
 export default materialResourceRouter;
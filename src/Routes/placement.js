@@ -0,0 +1,434 @@
+import express from "express";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { verifyToken } from "./helpers/middleware.js";
+import { isCorrectAnswer } from "./helpers/quizGrading.js";
+import { toLearnerQuiz } from "./helpers/quizTypes.js";
+import { progression } from "./helpers/progression.js";
+import { validate, objectSchema, idSchema } from "./helpers/validation.js";
+import {
+  SESSION_STATUS,
+  PLACEMENT_MAX_ITEMS,
+  nextLevelIndex,
+  isPlacementDone,
+  estimateLevelIndex,
+  drawPlacementItem,
+} from "./helpers/placement.js";
+
+dotenvConfig();
+const placementRouter = express.Router();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const SESSION_COLUMNS =
+  "session_id, status, items, current_quiz_id, current_level_index, estimated_level_id, started_at, completed_at";
+const LEVEL_COLUMNS =
+  "user_level_id, user_level_name, user_level_code, min_poin";
+
+const loadLevels = async () => {
+  const { data: levels, error } = await db
+    .from("m_user_level")
+    .select(LEVEL_COLUMNS)
+    .order("min_poin", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return levels;
+};
+
+const loadSessions = async (userId) => {
+  const { data: sessions, error } = await db
+    .from("t_placement_session")
+    .select(SESSION_COLUMNS)
+    .eq("user_id", userId)
+    .order("started_at", { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return sessions;
+};
+
+// What the learner sees of an item, never the answer key
+const presentItem = (session, quiz) => ({
+  session_id: session.session_id,
+  completed: false,
+  item: toLearnerQuiz(quiz),
+  answered: session.items.length,
+  max_items: PLACEMENT_MAX_ITEMS,
+});
+
+/**
+ * Finish a session: estimate the level, place the user there and start every
+ * course up to that level so it is unlocked.
+ */
+const completePlacement = async (
+  userId,
+  session,
+  items,
+  levels,
+  levelIndex
+) => {
+  const level = levels[estimateLevelIndex(items, levelIndex)];
+  const placedLevelIds = levels
+    .slice(0, levels.indexOf(level) + 1)
+    .map((placed) => placed.user_level_id);
+
+  const { data: courses, error } = await db
+    .from("m_course")
+    .select("course_id")
+    .in("user_level_id", placedLevelIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const courseIds = courses.map((course) => course.course_id);
+  await progression.applyPlacement(userId, level.user_level_id, courseIds);
+
+  const { error: updateError } = await db
+    .from("t_placement_session")
+    .update({
+      status: SESSION_STATUS.COMPLETED,
+      items,
+      current_quiz_id: null,
+      estimated_level_id: level.user_level_id,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("session_id", session.session_id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return {
+    session_id: session.session_id,
+    completed: true,
+    answered: items.length,
+    correct_count: items.filter((item) => item.is_correct).length,
+    level,
+    unlocked_course_ids: courseIds,
+  };
+};
+
+/**
+ * @swagger
+ * /api/placement:
+ *   get:
+ *     summary: Retrieve my placement test
+ *     description: The latest placement session of the signed-in user, or null if they never started one.
+ *     tags:
+ *      - Placement
+ *     responses:
+ *       '200':
+ *         description: The latest session with its status and estimated level.
+ *       '500':
+ *         description: Internal server error
+ */
+placementRouter.get("/", verifyToken, async (req, res) => {
+  try {
+    const [latest] = await loadSessions(req.user.userId);
+
+    return res.status(200).json({
+      status: 200,
+      body: latest
+        ? {
+            session_id: latest.session_id,
+            status: latest.status,
+            answered: latest.items.length,
+            max_items: PLACEMENT_MAX_ITEMS,
+            estimated_level_id: latest.estimated_level_id,
+            started_at: latest.started_at,
+            completed_at: latest.completed_at,
+          }
+        : null,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 500,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/placement/start:
+ *   post:
+ *     summary: Start the placement test
+ *     description: Start an adaptive placement test, or resume the one in progress. Items are quizzes drawn from every level; each correct answer moves one level up and each wrong answer one level down. A user can complete the test once.
+ *     tags:
+ *      - Placement
+ *     responses:
+ *       '200':
+ *         description: The session and its current item.
+ *       '409':
+ *         description: The user has already completed the placement test.
+ *       '500':
+ *         description: Internal server error
+ */
+placementRouter.post("/start", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const sessions = await loadSessions(userId);
+
+    if (sessions.some((s) => s.status === SESSION_STATUS.COMPLETED)) {
+      return res.status(409).json({
+        status: 409,
+        error: "The placement test has already been completed",
+      });
+    }
+
+    const current = sessions.find(
+      (s) => s.status === SESSION_STATUS.IN_PROGRESS
+    );
+
+    if (current) {
+      const { data: quizzes, error } = await db
+        .from("m_quiz")
+        .select("quiz_id, type, question, choices, config")
+        .eq("quiz_id", current.current_quiz_id);
+
+      if (error) {
+        throw error;
+      }
+
+      if (quizzes.length > 0) {
+        return res.status(200).json({
+          status: 200,
+          body: presentItem(current, quizzes[0]),
+        });
+      }
+    }
+
+    const levels = await loadLevels();
+    // Start just below the middle so beginners are not discouraged
+    const startIndex = Math.floor((levels.length - 1) / 2);
+    const drawn = levels.length
+      ? await drawPlacementItem(
+          levels,
+          current ? current.current_level_index : startIndex,
+          current ? current.items.map((item) => item.quiz_id) : []
+        )
+      : null;
+
+    if (!drawn) {
+      return res.status(404).json({
+        status: 404,
+        error: "No placement items are available",
+      });
+    }
+
+    let session;
+    if (current) {
+      // The current item was deleted, continue with another one
+      const { data, error } = await db
+        .from("t_placement_session")
+        .update({
+          current_quiz_id: drawn.quiz.quiz_id,
+          current_level_index: drawn.levelIndex,
+        })
+        .eq("session_id", current.session_id)
+        .select(SESSION_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+      session = data[0];
+    } else {
+      const { data, error } = await db
+        .from("t_placement_session")
+        .insert({
+          user_id: userId,
+          status: SESSION_STATUS.IN_PROGRESS,
+          items: [],
+          current_quiz_id: drawn.quiz.quiz_id,
+          current_level_index: drawn.levelIndex,
+          started_at: new Date().toISOString(),
+        })
+        .select(SESSION_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+      session = data[0];
+    }
+
+    return res.status(200).json({
+      status: 200,
+      body: presentItem(session, drawn.quiz),
+    });
+  } catch (error) {
+    console.error("Error starting placement test:", error);
+    return res.status(500).json({
+      status: 500,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/placement/answer:
+ *   post:
+ *     summary: Answer the current placement item
+ *     description: Grade the answer to the current item and return the next one, or, when the test is over, the estimated level. Finishing sets the user's level and unlocks every course up to it.
+ *     tags:
+ *      - Placement
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               session_id:
+ *                 type: integer
+ *               quiz_id:
+ *                 type: integer
+ *               answer:
+ *                 type: string
+ *             required:
+ *               - session_id
+ *               - quiz_id
+ *     responses:
+ *       '200':
+ *         description: The next item, or the result with `completed` true.
+ *       '400':
+ *         description: Missing fields, or quiz_id is not the current item.
+ *       '404':
+ *         description: No placement test in progress with this session_id.
+ *       '500':
+ *         description: Internal server error
+ */
+placementRouter.post(
+  "/answer",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      {
+        session_id: idSchema,
+        quiz_id: idSchema,
+        answer: {
+          description:
+            "A choice or text, true or false, the items in order for ordering, or a { left right } object for matching.",
+        },
+      },
+      ["session_id", "quiz_id"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { session_id, quiz_id, answer } = req.body;
+
+      const { data: sessions, error } = await db
+        .from("t_placement_session")
+        .select(SESSION_COLUMNS)
+        .eq("session_id", session_id)
+        .eq("user_id", userId)
+        .eq("status", SESSION_STATUS.IN_PROGRESS)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      if (sessions.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          error: "No placement test in progress",
+        });
+      }
+
+      const session = sessions[0];
+
+      if (String(session.current_quiz_id) !== String(quiz_id)) {
+        return res.status(400).json({
+          status: 400,
+          error: "Bad Request: 'quiz_id' is not the current item",
+        });
+      }
+
+      const { data: quizzes, error: quizError } = await db
+        .from("m_quiz")
+        .select("quiz_id, type, answer_key, choices, config")
+        .eq("quiz_id", quiz_id);
+
+      if (quizError) {
+        throw quizError;
+      }
+
+      const isCorrect =
+        quizzes.length > 0 && isCorrectAnswer(quizzes[0], answer);
+      const items = [
+        ...session.items,
+        {
+          quiz_id: session.current_quiz_id,
+          level_index: session.current_level_index,
+          answer: answer === undefined ? null : answer,
+          is_correct: isCorrect,
+        },
+      ];
+
+      const levels = await loadLevels();
+      const levelIndex = nextLevelIndex(
+        session.current_level_index,
+        isCorrect,
+        levels.length
+      );
+      const drawn = isPlacementDone(items)
+        ? null
+        : await drawPlacementItem(
+            levels,
+            levelIndex,
+            items.map((item) => item.quiz_id)
+          );
+
+      if (!drawn) {
+        const result = await completePlacement(
+          userId,
+          session,
+          items,
+          levels,
+          levelIndex
+        );
+
+        return res.status(200).json({
+          status: 200,
+          body: result,
+        });
+      }
+
+      const { data: updated, error: updateError } = await db
+        .from("t_placement_session")
+        .update({
+          items,
+          current_quiz_id: drawn.quiz.quiz_id,
+          current_level_index: drawn.levelIndex,
+        })
+        .eq("session_id", session.session_id)
+        .select(SESSION_COLUMNS);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: presentItem(updated[0], drawn.quiz),
+      });
+    } catch (error) {
+      console.error("Error answering placement item:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default placementRouter;
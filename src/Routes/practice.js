@@ -1,7 +1,22 @@
 import express from "express";
+import _ from "lodash";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
-import { verifyToken } from "./helpers/middleware.js";
+import {
+  verifyToken,
+  resolveActingUser,
+  requirePermission,
+} from "./helpers/middleware.js";
+import { PERMISSIONS } from "./helpers/roles.js";
+import {
+  getPracticeCourseAccess,
+  rejectLockedCourse,
+} from "./helpers/courseUnlock.js";
+import { progression } from "./helpers/progression.js";
+import { awardBadges } from "./helpers/badges.js";
+import { recordXpEvent, XP_SOURCES } from "./helpers/xp.js";
+import { publishedOnly } from "./helpers/revisions.js";
+import { validate, objectSchema, idSchema } from "./helpers/validation.js";
 
 dotenvConfig();
 const practiceRouter = express.Router();
@@ -30,26 +45,31 @@ const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
  *             schema:
  *               type: array
  */
-practiceRouter.get("/", verifyToken, async (req, res) => {
-  try {
-    const { course_id } = req.query;
-
-    let { data: practices } = await db
-      .from("m_practice")
-      .select("*, course:course_id(course_name, course_description)")
-      .eq("course_id", course_id);
-
-    return res.status(200).json({
-      status: 200,
-      body: practices,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+practiceRouter.get(
+  "/",
+  verifyToken,
+  validate({ query: objectSchema({ course_id: idSchema }, ["course_id"]) }),
+  async (req, res) => {
+    try {
+      const { course_id } = req.query;
+
+      let { data: practices } = await db
+        .from("m_practice")
+        .select("*, course:course_id(course_name, course_description)")
+        .eq("course_id", course_id);
+
+      return res.status(200).json({
+        status: 200,
+        body: practices,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -64,41 +84,47 @@ practiceRouter.get("/", verifyToken, async (req, res) => {
  *         name: user_id
  *         schema:
  *           type: string
- *         description: Filter users by user id
+ *         description: Defaults to the signed-in user. Only admins may pass another user's id.
  *     responses:
  *       '200':
  *         description: A JSON array of practices progress.
  */
-practiceRouter.get("/progress", verifyToken, async (req, res) => {
-  try {
-    const { user_id } = req.query;
-
-    const { data: progress } = await db
-      .from("t_user_practice_progress")
-      .select(
-        "progress_practice_id, user_id, practice_id, progress_poin, is_active, is_passed, practice:practice_id(practice_code)"
-      )
-      .eq("user_id", user_id)
-      .order("progress_practice_id", { ascending: true });
-
-    return res.status(200).json({
-      status: 200,
-      body: progress,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+practiceRouter.get(
+  "/progress",
+  verifyToken,
+  validate({ query: objectSchema({ user_id: idSchema }) }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const user_id = req.actingUserId;
+
+      const { data: progress } = await db
+        .from("t_user_practice_progress")
+        .select(
+          "progress_practice_id, user_id, practice_id, progress_poin, is_active, is_passed, practice:practice_id(practice_code)"
+        )
+        .eq("user_id", user_id)
+        .order("progress_practice_id", { ascending: true });
+
+      return res.status(200).json({
+        status: 200,
+        body: progress,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
  * /api/practice/progress:
  *   post:
  *     summary: Update user's practice progress.
- *     description: Update user's practice progress.
+ *     description: Update user's practice progress. For practices with quizzes, `progress_poin` and `is_passed` are ignored; they are set by POST /api/quiz/submit. The course and user totals are updated in the same step.
  *     tags:
  *       - Practice
  *     requestBody:
@@ -108,14 +134,11 @@ practiceRouter.get("/progress", verifyToken, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               progress_practice_id:
- *                 type: integer
  *               user_id:
  *                 type: integer
+ *                 description: Defaults to the signed-in user. Only admins may pass another user's id.
  *               practice_id:
  *                 type: integer
- *               course_id:
- *                 type: integer
  *               progress_poin:
  *                 type: number
  *               is_active:
@@ -135,6 +158,10 @@ practiceRouter.get("/progress", verifyToken, async (req, res) => {
  *                   example: Course progress updated successfully.
  *                 body:
  *                   type: array
+ *       '403':
+ *         description: The practice's course is locked for the user.
+ *       '404':
+ *         description: Practice not found.
  *       '500':
  *         description: Internal server error
  *         content:
@@ -146,93 +173,182 @@ practiceRouter.get("/progress", verifyToken, async (req, res) => {
  *                   type: string
  *                   example: Internal server error.
  */
-practiceRouter.post("/progress", verifyToken, async (req, res) => {
-  try {
-    const {
-      progress_practice_id,
-      user_id,
-      progress_poin,
-      is_active,
-      is_passed,
-      practice_id,
-      course_id,
-    } = req.body;
-
-    const currentTimestamp = new Date().toLocaleString("id-ID", {
-      timeZone: "UTC",
-    });
-
-    let progress;
-    if (progress_practice_id !== 0) {
-      // If record exists, update it
-      const { data: updatedProgress, error: updateError } = await db
-        .from("t_user_practice_progress")
-        .update({
-          progress_poin,
-          is_active,
-          is_passed,
-          practice_id,
-          updated_at: currentTimestamp,
-        })
-        .eq("progress_practice_id", progress_practice_id)
-        .eq("user_id", user_id)
-        .select(
-          "progress_practice_id, user_id, practice_id, progress_poin, is_active, is_passed"
-        );
+practiceRouter.post(
+  "/progress",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      {
+        user_id: idSchema,
+        practice_id: idSchema,
+        progress_poin: { type: "integer", minimum: 0, maximum: 100 },
+        is_active: { type: "boolean" },
+        is_passed: { type: "boolean" },
+      },
+      ["practice_id"]
+    ),
+  }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const user_id = req.actingUserId;
+      const { progress_poin, is_active, is_passed, practice_id } = req.body;
 
-      if (updateError) {
-        return res.status(500).json({
-          status: 500,
-          error: "Failed to update the record",
-        });
+      const course = await getPracticeCourseAccess(user_id, practice_id);
+
+      if (rejectLockedCourse(res, course)) {
+        return;
       }
 
-      progress = updatedProgress;
-    } else {
-      // If record doesn't exist, insert a new one
-      const { data: insertedProgress, error: insertError } = await db
-        .from("t_user_practice_progress")
-        .insert({
-          user_id,
-          practice_id,
-          progress_poin,
+      // Quiz practices are scored by POST /api/quiz/submit, never by the client
+      const { count: quizCount, error: quizError } = await publishedOnly(
+        db.from("m_quiz").select("quiz_id", { count: "exact", head: true })
+      ).eq("practice_id", practice_id);
+
+      if (quizError) {
+        throw quizError;
+      }
+
+      const clientScored = !quizCount;
+
+      const result = await progression.recordPracticeProgress(
+        user_id,
+        practice_id,
+        {
+          ...(clientScored ? { progress_poin, is_passed } : {}),
           is_active,
-          is_passed,
-          updated_at: currentTimestamp,
-        })
-        .select(
-          "progress_practice_id, user_id, practice_id, progress_poin, is_active, is_passed"
-        );
+        }
+      );
 
-      if (insertError) {
-        return res.status(500).json({
-          status: 500,
-          error: "Failed to insert new record",
+      if (!result) {
+        return res.status(404).json({
+          status: 404,
+          error: "Practice not found",
         });
       }
 
-      progress = insertedProgress;
+      await recordXpEvent(user_id, {
+        source: XP_SOURCES.PRACTICE,
+        amount: result.poin_gained,
+        referenceId: practice_id,
+        courseCategoryId: course && course.course_category_id,
+      });
+
+      return res.status(200).json({
+        status: 200,
+        body: [result.practice_progress],
+        unlocked_badges: await awardBadges(user_id),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
     }
+  }
+);
 
-    // Update course poin RPC (remote stored procedure)
-    await db.rpc("update_user_course_progress_poin", {
-      i_user_id: user_id,
-      i_course_id: course_id,
-    });
-
-    // Update user progress using RPC (remote stored procedure)
-    await db.rpc("update_user_progress", { i_user_id: user_id });
-
-    return res.status(200).json({
-      status: 200,
-      body: progress,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+/**
+ * @swagger
+ * /api/practice/admin/quiz-settings/{practice_id}:
+ *   put:
+ *     summary: Update the quiz attempt settings of a practice
+ *     description: The practice's published quizzes are its pool. `quiz_draw_count` is how many of them each attempt draws, `quiz_time_limit_seconds` how long an attempt may take; null uses the whole pool or removes the limit. Practices with either setting only accept answers through POST /api/quiz/attempt/start.
+ *     tags:
+ *       - Practice
+ *     parameters:
+ *       - in: path
+ *         name: practice_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quiz_draw_count:
+ *                 type: integer
+ *               quiz_time_limit_seconds:
+ *                 type: integer
+ *     responses:
+ *       '200':
+ *         description: The updated settings and the `pool_size` of the practice.
+ *       '400':
+ *         description: Nothing to update.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: Practice not found.
+ *       '500':
+ *         description: Internal server error
+ */
+practiceRouter.put(
+  "/admin/quiz-settings/:practice_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    params: objectSchema({ practice_id: idSchema }, ["practice_id"]),
+    body: objectSchema({
+      quiz_draw_count: { ...idSchema, nullable: true },
+      quiz_time_limit_seconds: { ...idSchema, nullable: true },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { practice_id } = req.params;
+      const settings = _.pick(req.body, [
+        "quiz_draw_count",
+        "quiz_time_limit_seconds",
+      ]);
+
+      if (Object.keys(settings).length === 0) {
+        return res.status(400).json({
+          status: 400,
+          error: "Bad Request: nothing to update",
+        });
+      }
+
+      const { data: practices, error } = await db
+        .from("m_practice")
+        .update(settings)
+        .eq("practice_id", practice_id)
+        .select("practice_id, quiz_draw_count, quiz_time_limit_seconds");
+
+      if (error) {
+        throw error;
+      }
+
+      if (practices.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          error: "Practice not found",
+        });
+      }
+
+      const { count: poolSize, error: poolError } = await publishedOnly(
+        db.from("m_quiz").select("quiz_id", { count: "exact", head: true })
+      ).eq("practice_id", practice_id);
+
+      if (poolError) {
+        throw poolError;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: { ...practices[0], pool_size: poolSize },
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
   }
-});
+);
 
 export default practiceRouter;
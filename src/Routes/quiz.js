@@ -1,19 +1,150 @@
 import express from "express";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
-import { verifyToken } from "./helpers/middleware.js";
+import {
+  verifyToken,
+  requirePermission,
+  singleFileUpload,
+} from "./helpers/middleware.js";
+import { PERMISSIONS } from "./helpers/roles.js";
+import { gradeQuiz } from "./helpers/quizGrading.js";
+import { progression } from "./helpers/progression.js";
+import { awardBadges } from "./helpers/badges.js";
+import { recordXpEvent, XP_SOURCES } from "./helpers/xp.js";
+import {
+  getPracticeCourseAccess,
+  rejectLockedCourse,
+} from "./helpers/courseUnlock.js";
+import {
+  QUIZ_TYPES,
+  normalizeQuiz,
+  quizToInput,
+  attachListeningAudio,
+  removeListeningAudio,
+  loadGradingContext,
+} from "./helpers/quizTypes.js";
+import {
+  CONTENT_STATUS,
+  DELETED_STATUS,
+  contentStatus,
+  withContentStatus,
+  createVersionedContent,
+  publishedOnly,
+  workingCopy,
+} from "./helpers/revisions.js";
+import {
+  QUIZ_FILE_FORMATS,
+  MAX_IMPORT_ROWS,
+  fileFormat,
+  parseQuizFile,
+  validateQuizRows,
+  exportQuizFile,
+} from "./helpers/quizTransfer.js";
+import {
+  analyzeQuizItems,
+  summarizeAttempts,
+} from "./helpers/quizAnalytics.js";
+import { fetchAllRows } from "./helpers/paging.js";
+import {
+  loadQuizSettings,
+  requiresAttempt,
+  newAttemptSeed,
+  drawAttemptQuizIds,
+  presentAttempt,
+  presentShuffled,
+  attemptExpiresAt,
+  isAttemptExpired,
+} from "./helpers/quizAttempts.js";
+import {
+  validate,
+  defineSchema,
+  objectSchema,
+  idSchema,
+} from "./helpers/validation.js";
 
 dotenvConfig();
 const quizRouter = express.Router();
 
 const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+// Learners only see quizzes through toLearnerQuiz, never answer_key or
+// config; quizzes are graded by POST /submit
+const QUIZ_COLUMNS =
+  "quiz_id, practice_id, type, question, answer_key, choices, config";
+const ATTEMPT_COLUMNS =
+  "attempt_id, practice_id, seed, quiz_ids, started_at, expires_at, submitted_at, score, correct_count, total_count, is_passed";
+const ATTEMPT_REQUIRED_ERROR =
+  "Bad Request: this practice is taken through attempts, start one with /api/quiz/attempt/start";
+// The versioned content of a quiz, see helpers/revisions.js
+const QUIZ_CONTENT_FIELDS = [
+  "type",
+  "practice_id",
+  "question",
+  "answer_key",
+  "choices",
+  "config",
+];
+const quizContent = createVersionedContent({
+  contentType: "quiz",
+  table: "m_quiz",
+  key: "quiz_id",
+  fields: QUIZ_CONTENT_FIELDS,
+});
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+// Browsers report CSV files under several mime types
+const IMPORT_MIME_TYPES = [
+  "text/csv",
+  "application/vnd.ms-excel",
+  "text/plain",
+  "application/json",
+];
+
+const quizIdParams = objectSchema({ quiz_id: idSchema }, ["quiz_id"]);
+const textListSchema = { type: "array", items: { type: "string" } };
+// Only the shape is checked here; normalizeQuiz checks the fields each type needs
+const QUIZ_INPUT_PROPERTIES = {
+  type: {
+    type: "string",
+    enum: Object.values(QUIZ_TYPES),
+    description: "Defaults to multiple_choice.",
+  },
+  practice_id: idSchema,
+  question: { type: "string" },
+  answer_key: { type: "string" },
+  choices: textListSchema,
+  accepted_answers: textListSchema,
+  items: textListSchema,
+  pairs: {
+    type: "array",
+    items: objectSchema({
+      left: { type: "string" },
+      right: { type: "string" },
+    }),
+  },
+  transcript: { type: "string" },
+  reference_text: { type: "string" },
+  min_score: { type: "integer", minimum: 1, maximum: 100 },
+};
+const QuizInput = defineSchema("QuizInput", {
+  ...objectSchema(QUIZ_INPUT_PROPERTIES, ["practice_id", "question"]),
+  description: [
+    "The fields used depend on `type`:",
+    "- `multiple_choice`: `choices` and `answer_key`, one of the choices.",
+    "- `true_false`: `answer_key`, true or false.",
+    "- `fill_blank`: `question` marks the blank with `___`; `accepted_answers` lists every accepted variant.",
+    "- `ordering`: `items` in the right order; learners get them shuffled in `choices`.",
+    "- `matching`: `pairs`; learners get the left sides and the shuffled right sides in `choices`.",
+    "- `listening`: `transcript`, read aloud by text-to-speech into `audio_url`. With `choices` and `answer_key` the learner picks an answer, otherwise they type what they heard.",
+    "- `speaking`: `reference_text` to read aloud; passes when the pronunciation score reaches `min_score` (default 70).",
+  ].join("\n"),
+});
+
 /**
  * @swagger
  * /api/quiz:
  *   get:
  *     summary: Retrieve a list of quizzes
- *     description: Retrieve a list of quizzes from the database.
+ *     description: Retrieve the published quizzes of a practice, without their answer keys. Each quiz has its `type`; listening quizzes add `audio_url` and speaking quizzes add `reference_text`. Questions and `choices` come in a new random order on every request. Practices that draw questions or have a time limit are only taken through POST /api/quiz/attempt/start.
  *     tags:
  *       - Quiz
  *     parameters:
@@ -29,119 +160,150 @@ const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
  *           application/json:
  *             schema:
  *               type: array
+ *       '400':
+ *         description: The practice is taken through attempts.
+ *       '404':
+ *         description: No quizzes found for the given practice_id.
  */
-quizRouter.get("/", verifyToken, async (req, res) => {
-  try {
-    const { practice_id } = req.query;
+quizRouter.get(
+  "/",
+  verifyToken,
+  validate({ query: objectSchema({ practice_id: idSchema }, ["practice_id"]) }),
+  async (req, res) => {
+    try {
+      const { practice_id } = req.query;
 
-    if (!practice_id) {
-      return res.status(400).json({
-        status: 400,
-        error: "Bad Request: 'practice_id' is required",
-      });
-    }
+      // Drawn or timed practices would show their whole pool here
+      const settings = await loadQuizSettings(practice_id);
 
-    // Query the database for quizzes with the matching practice_id
-    const { data: quiz, error } = await db
-      .from("m_quiz")
-      .select("*")
-      .eq("practice_id", practice_id);
+      if (settings && requiresAttempt(settings)) {
+        return res.status(400).json({
+          status: 400,
+          error: ATTEMPT_REQUIRED_ERROR,
+        });
+      }
 
-    // Check if there was an error in the query
-    if (error) {
-      console.error("Error fetching quizzes:", error);
+      // Query the database for published quizzes with the matching practice_id
+      const { data: quiz, error } = await publishedOnly(
+        db.from("m_quiz").select(QUIZ_COLUMNS)
+      ).eq("practice_id", practice_id);
+
+      // Check if there was an error in the query
+      if (error) {
+        console.error("Error fetching quizzes:", error);
+        return res.status(500).json({
+          status: 500,
+          error: "Internal Server Error: Failed to fetch quizzes",
+        });
+      }
+
+      // If no quizzes were found, return a 404 status
+      if (quiz.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          message: "No quizzes found for the given practice_id",
+        });
+      }
+
+      // A new order on every request, so answers cannot be shared by position
+      return res.status(200).json({
+        status: 200,
+        data: presentShuffled(quiz),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
       return res.status(500).json({
         status: 500,
-        error: "Internal Server Error: Failed to fetch quizzes",
+        error: "Internal Server Error",
       });
     }
+  }
+);
 
-    // If no quizzes were found, return a 404 status
-    if (quiz.length === 0) {
-      return res.status(404).json({
-        status: 404,
-        message: "No quizzes found for the given practice_id",
-      });
-    }
+/**
+ * One attempt of the user, or null.
+ */
+const loadAttempt = async (userId, attemptId) => {
+  const { data: attempts, error } = await db
+    .from("t_quiz_attempt")
+    .select(ATTEMPT_COLUMNS)
+    .eq("attempt_id", attemptId)
+    .eq("user_id", userId)
+    .limit(1);
 
-    // Return the quizzes in the response
-    return res.status(200).json({
-      status: 200,
-      data: quiz,
-    });
-  } catch (error) {
-    console.error("Internal Server Error:", error);
-    return res.status(500).json({
-      status: 500,
-      error: "Internal Server Error",
-    });
+  if (error) {
+    throw error;
   }
-});
+
+  return attempts[0] || null;
+};
 
 /**
- * @swagger
- * /api/quiz/admin:
- *   get:
- *     summary: Retrieve a list of quizzes for admin
- *     description: Retrieve a list of quizzes from the database.
- *     tags:
- *       - Quiz
- *     parameters:
- *       - in: query
- *         name: course_category_id
- *         required: true
- *         schema:
- *           type: string
- *         name: course_name
- *         schema:
- *           type: string
- *         name: question
- *         schema:
- *           type: string
- *         description: Filter quizzes by course category ID
- *     responses:
- *       '200':
- *         description: A JSON array of materials resource.
- *       '500':
- *         description: Internal Server Error
+ * The attempt of a practice the user started and can still submit, or null.
  */
-quizRouter.get("/admin", async (req, res) => {
-  try {
-    const { course_category_id, course_name, question } = req.query;
-
-    // Build the query
-    let query = db.rpc("get_quizzes_by_category", {
-      icourse_category_id: course_category_id,
-      icourse_name: course_name,
-      iquestion: question,
-    });
+const loadOpenAttempt = async (userId, practiceId) => {
+  const { data: attempts, error } = await db
+    .from("t_quiz_attempt")
+    .select(ATTEMPT_COLUMNS)
+    .eq("user_id", userId)
+    .eq("practice_id", practiceId)
+    .is("submitted_at", null)
+    .not("quiz_ids", "is", null)
+    .order("started_at", { ascending: false });
 
-    const { data: quiz, error } = await query;
+  if (error) {
+    throw error;
+  }
 
-    if (error) {
-      throw error;
-    }
+  return attempts.find((attempt) => !isAttemptExpired(attempt)) || null;
+};
 
-    // Return the response
-    return res.status(200).json({
-      status: 200,
-      data: quiz,
-    });
-  } catch (error) {
-    console.error("Internal Server Error:", error);
-    return res.status(500).json({
-      status: 500,
-      error: "Internal Server Error",
-    });
+/**
+ * The quizzes drawn for an attempt in the order they were shown. They are
+ * loaded whatever their status now, so the attempt is graded as it was taken.
+ */
+const loadAttemptQuizzes = async (attempt) => {
+  const { data: quizzes, error } = await db
+    .from("m_quiz")
+    .select(QUIZ_COLUMNS)
+    .in("quiz_id", attempt.quiz_ids);
+
+  if (error) {
+    throw error;
   }
+
+  const quizzesById = new Map(
+    quizzes.map((quiz) => [String(quiz.quiz_id), quiz])
+  );
+  return attempt.quiz_ids
+    .map((quizId) => quizzesById.get(String(quizId)))
+    .filter(Boolean);
+};
+
+// What the learner sees of an attempt, never the seed or the answer keys
+const presentAttemptResponse = (attempt, quizzes) => ({
+  attempt_id: attempt.attempt_id,
+  practice_id: attempt.practice_id,
+  started_at: attempt.started_at,
+  expires_at: attempt.expires_at,
+  submitted_at: attempt.submitted_at,
+  ...(attempt.submitted_at
+    ? {
+        score: attempt.score,
+        correct_count: attempt.correct_count,
+        total_count: attempt.total_count,
+        is_passed: attempt.is_passed,
+      }
+    : {}),
+  quizzes: presentAttempt(attempt, quizzes),
 });
 
 /**
  * @swagger
- * /api/quiz/admin/create:
+ * /api/quiz/attempt/start:
  *   post:
- *     summary: Create a new quiz
- *     description: Add a new quiz to the database.
+ *     summary: Start a quiz attempt
+ *     description: Draw the questions of a new attempt from the practice's published quizzes, its pool. Practices with `quiz_draw_count` draw that many questions, others use the whole pool. Questions and `choices` are shuffled per attempt with a stored seed, so the attempt looks the same when loaded again and is graded as it was shown. With `quiz_time_limit_seconds` the attempt must be submitted before `expires_at`. While the user has an attempt of the practice that can still be submitted, that attempt is returned instead of a new one.
  *     tags:
  *       - Quiz
  *     requestBody:
@@ -151,71 +313,208 @@ quizRouter.get("/admin", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               question:
- *                 type: string
- *                 description: The quiz question
  *               practice_id:
  *                 type: integer
- *                 description: The ID of the associated practice
- *               answer_key:
- *                 type: string
- *                 description: The correct answer key for the quiz
- *               choices:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: The list of possible answers
  *     responses:
  *       '200':
- *         description: Quiz created successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: Quiz created successfully
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
+ *         description: The attempt with its quizzes, `pool_size`, `expires_at` (null without a time limit) and `resumed`, true when an open attempt was returned.
+ *       '403':
+ *         description: The practice's course is locked for the user.
+ *       '404':
+ *         description: Practice not found, or it has no published quizzes.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.post(
+  "/attempt/start",
+  verifyToken,
+  validate({ body: objectSchema({ practice_id: idSchema }, ["practice_id"]) }),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { practice_id } = req.body;
+
+      const settings = await loadQuizSettings(practice_id);
+
+      if (!settings) {
+        return res.status(404).json({
+          status: 404,
+          message: "Practice not found",
+        });
+      }
+
+      const course = await getPracticeCourseAccess(userId, practice_id);
+
+      if (rejectLockedCourse(res, course)) {
+        return;
+      }
+
+      const { data: pool, error } = await publishedOnly(
+        db.from("m_quiz").select(QUIZ_COLUMNS)
+      ).eq("practice_id", practice_id);
+
+      if (error) {
+        throw error;
+      }
+
+      if (pool.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          message: "No quizzes found for the given practice_id",
+        });
+      }
+
+      // One open attempt per practice, or restarting would reveal the pool
+      const openAttempt = await loadOpenAttempt(userId, practice_id);
+
+      if (openAttempt) {
+        return res.status(200).json({
+          status: 200,
+          data: {
+            ...presentAttemptResponse(
+              openAttempt,
+              await loadAttemptQuizzes(openAttempt)
+            ),
+            pool_size: pool.length,
+            resumed: true,
+          },
+        });
+      }
+
+      const seed = newAttemptSeed();
+      const startedAt = new Date();
+
+      const { data: attempt, error: attemptError } = await db
+        .from("t_quiz_attempt")
+        .insert({
+          user_id: userId,
+          practice_id,
+          seed,
+          quiz_ids: drawAttemptQuizIds(pool, seed, settings.quiz_draw_count),
+          started_at: startedAt.toISOString(),
+          expires_at: attemptExpiresAt(
+            startedAt,
+            settings.quiz_time_limit_seconds
+          ),
+        })
+        .select(ATTEMPT_COLUMNS);
+
+      if (attemptError) {
+        throw attemptError;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        data: {
+          ...presentAttemptResponse(attempt[0], pool),
+          pool_size: pool.length,
+          resumed: false,
+        },
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/attempt/{attempt_id}:
+ *   get:
+ *     summary: Retrieve one of my quiz attempts
+ *     description: The attempt with its quizzes in the same order and with the same choices as when it was started, and its score once submitted.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: attempt_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The attempt.
+ *       '404':
+ *         description: Attempt not found.
+ *       '500':
+ *         description: Internal Server Error
  */
-quizRouter.post("/admin/create", async (req, res) => {
-  try {
-    const { question, practice_id, answer_key, choices } = req.body;
+quizRouter.get(
+  "/attempt/:attempt_id",
+  verifyToken,
+  validate({
+    params: objectSchema({ attempt_id: idSchema }, ["attempt_id"]),
+  }),
+  async (req, res) => {
+    try {
+      const attempt = await loadAttempt(req.user.userId, req.params.attempt_id);
 
-    const { data, error } = await db
-      .from("m_quiz")
-      .insert([{ question, practice_id, answer_key, choices }])
-      .select("*");
+      if (!attempt || !attempt.quiz_ids) {
+        return res.status(404).json({
+          status: 404,
+          message: "Attempt not found",
+        });
+      }
 
-    if (error) {
-      throw error;
+      return res.status(200).json({
+        status: 200,
+        data: presentAttemptResponse(
+          attempt,
+          await loadAttemptQuizzes(attempt)
+        ),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
     }
+  }
+);
 
-    return res.status(200).json({
-      status: 200,
-      message: "Quiz created successfully",
-      data: data,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
-    });
+/**
+ * Save a graded attempt into the user's practice progress, keeping the best
+ * score, then refresh the course and user totals. Points gained over the
+ * previous best go to the XP ledger.
+ */
+const recordPracticeScore = async (
+  userId,
+  practiceId,
+  grade,
+  { attemptId, courseCategoryId }
+) => {
+  const result = await progression.recordPracticeProgress(
+    userId,
+    practiceId,
+    { progress_poin: grade.score, is_passed: grade.is_passed, is_active: true },
+    { keepBest: true }
+  );
+
+  if (!result) {
+    return [];
   }
-});
+
+  await recordXpEvent(userId, {
+    source: XP_SOURCES.QUIZ,
+    amount: result.poin_gained,
+    referenceId: attemptId,
+    courseCategoryId,
+  });
+
+  return [result.practice_progress];
+};
 
 /**
  * @swagger
- * /api/quiz/admin/update:
- *   put:
- *     summary: Update an existing quiz
- *     description: Update the details of an existing quiz by its ID.
+ * /api/quiz/submit:
+ *   post:
+ *     summary: Submit quiz answers
+ *     description: Grade the answers of a practice's published quizzes on the server, record the attempt and update the practice progress with the best score so far. With `attempt_id` the quizzes of that attempt are graded instead; practices that draw questions or have a time limit require it.
  *     tags:
  *       - Quiz
  *     requestBody:
@@ -225,162 +524,1436 @@ quizRouter.post("/admin/create", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               id:
- *                 type: integer
- *                 description: The ID of the quiz to update
- *               question:
- *                 type: string
- *                 description: The updated quiz question
  *               practice_id:
  *                 type: integer
- *                 description: The updated associated practice ID
- *               answer_key:
- *                 type: string
- *                 description: The updated correct answer key
- *               choices:
+ *               answers:
  *                 type: array
  *                 items:
- *                   type: string
- *                 description: The updated list of possible answers
+ *                   type: object
+ *                   properties:
+ *                     quiz_id:
+ *                       type: integer
+ *                     answer:
+ *                       description: A choice or text, true or false, the items in order for ordering, a { left right } object for matching, or the assessment_id from /api/speech/speech-to-text for speaking.
+ *             required:
+ *               - practice_id
+ *               - answers
  *     responses:
  *       '200':
- *         description: Quiz updated successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: Quiz updated successfully
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
+ *         description: The graded attempt and the updated practice progress.
+ *       '400':
+ *         description: Missing practice_id or answers, answers for quizzes outside the practice or attempt, a missing attempt_id where one is required, or an attempt past its time limit.
+ *       '403':
+ *         description: The practice's course is locked for the user.
  *       '404':
- *         description: Quiz not found.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: integer
- *                   example: 404
- *                 message:
- *                   type: string
- *                   example: Quiz not found
+ *         description: No quizzes found for the given practice_id, or attempt not found.
+ *       '409':
+ *         description: The attempt has already been submitted.
+ *       '500':
+ *         description: Internal Server Error
  */
-quizRouter.put("/admin/update", async (req, res) => {
-  try {
-    const { id, question, practice_id, answer_key, choices } = req.body;
+quizRouter.post(
+  "/submit",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      {
+        practice_id: idSchema,
+        attempt_id: idSchema,
+        answers: {
+          type: "array",
+          items: objectSchema(
+            {
+              quiz_id: idSchema,
+              answer: {
+                description:
+                  "A choice or text, true or false, the items in order for ordering, a { left right } object for matching, or the assessment_id from /api/speech/speech-to-text for speaking.",
+              },
+            },
+            ["quiz_id"]
+          ),
+        },
+      },
+      ["practice_id", "answers"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { practice_id, attempt_id, answers } = req.body;
+      const userId = req.user.userId;
 
-    if (!id) {
-      return res.status(400).json({
-        status: 400,
-        message: "Quiz ID is required in the request body",
-      });
-    }
+      const course = await getPracticeCourseAccess(userId, practice_id);
 
-    const { data, error } = await db
-      .from("m_quiz")
-      .update({ question, practice_id, answer_key, choices })
-      .match({ quiz_id: id })
-      .select("*");
+      if (rejectLockedCourse(res, course)) {
+        return;
+      }
 
-    if (error) {
-      throw error;
-    }
+      let attempt = null;
+      let quizzes;
+
+      if (attempt_id) {
+        attempt = await loadAttempt(userId, attempt_id);
+
+        if (
+          !attempt ||
+          !attempt.quiz_ids ||
+          String(attempt.practice_id) !== String(practice_id)
+        ) {
+          return res.status(404).json({
+            status: 404,
+            message: "Attempt not found",
+          });
+        }
+
+        if (attempt.submitted_at) {
+          return res.status(409).json({
+            status: 409,
+            error: "The attempt has already been submitted",
+          });
+        }
+
+        if (isAttemptExpired(attempt)) {
+          return res.status(400).json({
+            status: 400,
+            error: "Bad Request: the time limit of the attempt has passed",
+          });
+        }
+
+        quizzes = await loadAttemptQuizzes(attempt);
+      } else {
+        const settings = await loadQuizSettings(practice_id);
 
-    // If no data is returned (i.e., quiz not found), return a 404 error
-    if (data.length === 0) {
-      return res.status(404).json({
-        status: 404,
-        message: "Quiz not found",
+        if (settings && requiresAttempt(settings)) {
+          return res.status(400).json({
+            status: 400,
+            error: ATTEMPT_REQUIRED_ERROR,
+          });
+        }
+
+        const { data, error } = await publishedOnly(
+          db.from("m_quiz").select(QUIZ_COLUMNS)
+        ).eq("practice_id", practice_id);
+
+        if (error) {
+          throw error;
+        }
+
+        quizzes = data;
+      }
+
+      if (quizzes.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          message: "No quizzes found for the given practice_id",
+        });
+      }
+
+      const quizIds = new Set(quizzes.map((quiz) => String(quiz.quiz_id)));
+      if (answers.some((answer) => !quizIds.has(String(answer.quiz_id)))) {
+        return res.status(400).json({
+          status: 400,
+          error: `Bad Request: answers contain quizzes outside this ${
+            attempt ? "attempt" : "practice"
+          }`,
+        });
+      }
+
+      const grade = gradeQuiz(
+        quizzes,
+        answers,
+        await loadGradingContext(userId, quizzes, answers)
+      );
+
+      const attemptResult = {
+        score: grade.score,
+        correct_count: grade.correct_count,
+        total_count: grade.total_count,
+        is_passed: grade.is_passed,
+        submitted_at: new Date().toISOString(),
+      };
+
+      // A started attempt is completed, only once even when sent twice
+      const { data: saved, error: attemptError } = attempt
+        ? await db
+            .from("t_quiz_attempt")
+            .update(attemptResult)
+            .eq("attempt_id", attempt.attempt_id)
+            .is("submitted_at", null)
+            .select("attempt_id")
+        : await db
+            .from("t_quiz_attempt")
+            .insert({ user_id: userId, practice_id, ...attemptResult })
+            .select("attempt_id");
+
+      if (attemptError) {
+        throw attemptError;
+      }
+
+      if (saved.length === 0) {
+        return res.status(409).json({
+          status: 409,
+          error: "The attempt has already been submitted",
+        });
+      }
+
+      const attemptId = saved[0].attempt_id;
+
+      const { error: answersError } = await db
+        .from("t_quiz_attempt_answer")
+        .insert(
+          grade.results.map((result) => ({
+            attempt_id: attemptId,
+            user_id: userId,
+            quiz_id: result.quiz_id,
+            answer: result.answer,
+            is_correct: result.is_correct,
+            answer_key_snapshot: result.answer_key_snapshot,
+          }))
+        );
+
+      if (answersError) {
+        throw answersError;
+      }
+
+      const progress = await recordPracticeScore(userId, practice_id, grade, {
+        attemptId,
+        courseCategoryId: course && course.course_category_id,
       });
-    }
 
-    // Return the updated data
-    return res.status(200).json({
-      status: 200,
-      message: "Quiz updated successfully",
-      data: data,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
-    });
+      return res.status(200).json({
+        status: 200,
+        data: {
+          attempt_id: attemptId,
+          score: grade.score,
+          correct_count: grade.correct_count,
+          total_count: grade.total_count,
+          is_passed: grade.is_passed,
+          results: grade.results.map(({ quiz_id, is_correct }) => ({
+            quiz_id,
+            is_correct,
+          })),
+          progress,
+        },
+        unlocked_badges: await awardBadges(userId),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /api/quiz/admin/delete/{quiz_id}:
- *   delete:
- *     summary: Delete a quiz
- *     description: Remove a quiz from the database by its ID.
+ * /api/quiz/admin:
+ *   get:
+ *     summary: Retrieve a list of quizzes for admin
+ *     description: Every quiz with its course, status and working copy (the pending draft of a published quiz, or the quiz itself), including drafts. Deleted quizzes are listed with `status=deleted`. `question` searches the working copy.
  *     tags:
  *       - Quiz
  *     parameters:
- *       - in: path
- *         name: quiz_id
- *         required: true
+ *       - in: query
+ *         name: course_category_id
  *         schema:
  *           type: integer
- *         description: The ID of the quiz to delete
+ *         description: Filter quizzes by course category ID
+ *       - in: query
+ *         name: course_name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: question
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, deleted]
  *     responses:
  *       '200':
- *         description: Quiz deleted successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Quiz deleted successfully
- *       '400':
- *         description: Quiz ID is required.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: integer
- *                   example: 400
- *                 message:
- *                   type: string
- *                   example: Quiz ID is required
+ *         description: A JSON array of quizzes.
+ *       '500':
+ *         description: Internal Server Error
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
  */
-quizRouter.delete("/admin/delete/:quiz_id", async (req, res) => {
-  try {
-    const { quiz_id } = req.params;
+quizRouter.get(
+  "/admin",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    query: objectSchema({
+      course_category_id: idSchema,
+      course_name: { type: "string" },
+      question: { type: "string" },
+      status: {
+        type: "string",
+        enum: [...Object.values(CONTENT_STATUS), DELETED_STATUS],
+      },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { course_category_id, course_name, question, status } = req.query;
 
-    if (!quiz_id) {
-      return res.status(400).json({
-        status: 400,
-        message: "Quiz ID is required",
+      const rows = await fetchAllRows(() => {
+        let query = withContentStatus(
+          db
+            .from("m_quiz")
+            .select(
+              "*, practice:practice_id!inner(practice_code, course:course_id!inner(course_id, course_name, course_category_id))"
+            ),
+          status
+        ).order("quiz_id", { ascending: true });
+
+        if (course_category_id) {
+          query = query.eq(
+            "practice.course.course_category_id",
+            course_category_id
+          );
+        }
+
+        if (course_name) {
+          query = query.ilike(
+            "practice.course.course_name",
+            `%${course_name}%`
+          );
+        }
+
+        return query;
       });
-    }
 
-    const { error } = await db.from("m_quiz").delete().eq("quiz_id", quiz_id);
+      // Admins search what they are editing, which may be a pending draft
+      const search = question && question.toLowerCase();
+      const quiz = rows
+        .map((row) => ({
+          quiz_id: row.quiz_id,
+          ...workingCopy(row, QUIZ_CONTENT_FIELDS),
+          status: contentStatus(row),
+          has_draft: Boolean(row.draft_data),
+          deleted_at: row.deleted_at,
+          practice_code: row.practice.practice_code,
+          ...row.practice.course,
+        }))
+        .filter(
+          (item) => !search || item.question.toLowerCase().includes(search)
+        );
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+      // Return the response
+      return res.status(200).json({
+        status: 200,
+        data: quiz,
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
     }
+  }
+);
+
+/**
+ * Load the quizzes of a practice with every recorded attempt and answer.
+ */
+const loadPracticeAttempts = async (practiceId) => {
+  const { data: quizzes, error } = await db
+    .from("m_quiz")
+    .select("quiz_id, type, question, answer_key, choices")
+    .eq("practice_id", practiceId)
+    .order("quiz_id", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  const attempts = await fetchAllRows(() =>
+    db
+      .from("t_quiz_attempt")
+      .select("attempt_id, user_id, score, is_passed")
+      .eq("practice_id", practiceId)
+      // Started attempts have no score until they are submitted
+      .not("submitted_at", "is", null)
+      .order("attempt_id", { ascending: true })
+  );
+
+  const answers = await fetchAllRows(() =>
+    db
+      .from("t_quiz_attempt_answer")
+      .select(
+        "attempt_id, quiz_id, answer, is_correct, answer_key_snapshot, attempt:attempt_id!inner(practice_id)"
+      )
+      .eq("attempt.practice_id", practiceId)
+      .order("attempt_id", { ascending: true })
+  );
+
+  return { quizzes, attempts, answers };
+};
+
+/**
+ * @swagger
+ * /api/quiz/admin/analytics:
+ *   get:
+ *     summary: Quiz analytics of a practice
+ *     description: Attempt summary of a practice plus per-question statistics (percent correct, discrimination index, how often each choice was picked) and flags for questions that look too easy, too hard or broken Question statistics only count answers graded against the question's current answer key and choices; older ones are counted in `outdated_answer_count`.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: query
+ *         name: practice_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The practice summary and per-question statistics.
+ *       '400':
+ *         description: practice_id is required.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/analytics",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ query: objectSchema({ practice_id: idSchema }, ["practice_id"]) }),
+  async (req, res) => {
+    try {
+      const { practice_id } = req.query;
+
+      const { quizzes, attempts, answers } = await loadPracticeAttempts(
+        practice_id
+      );
+
+      return res.status(200).json({
+        status: 200,
+        data: {
+          practice_id,
+          summary: summarizeAttempts(attempts),
+          items: analyzeQuizItems(quizzes, attempts, answers),
+        },
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/analytics/{quiz_id}:
+ *   get:
+ *     summary: Analytics of one quiz question
+ *     description: Statistics of a single question, with the discrimination index computed against all attempts of its practice.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The question statistics.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: Quiz not found.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/analytics/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: quizIdParams }),
+  async (req, res) => {
+    try {
+      const { quiz_id } = req.params;
+
+      const { data: quiz, error } = await db
+        .from("m_quiz")
+        .select("practice_id")
+        .eq("quiz_id", quiz_id)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      if (quiz.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          message: "Quiz not found",
+        });
+      }
+
+      const { quizzes, attempts, answers } = await loadPracticeAttempts(
+        quiz[0].practice_id
+      );
+      const item = analyzeQuizItems(quizzes, attempts, answers).find(
+        (stats) => String(stats.quiz_id) === String(quiz_id)
+      );
+
+      return res.status(200).json({
+        status: 200,
+        data: item,
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/create:
+ *   post:
+ *     summary: Create a new quiz
+ *     description: Add a new quiz to the database as a draft; learners see it once it is published. The fields are validated against the quiz type; listening quizzes get their audio generated from the transcript.
+ *     tags:
+ *       - Quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizInput'
+ *     responses:
+ *       '200':
+ *         description: Quiz created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: Quiz created successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       '400':
+ *         description: Invalid quiz, with field-level errors.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+quizRouter.post(
+  "/admin/create",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ body: QuizInput }),
+  async (req, res) => {
+    try {
+      const { quiz, errors } = normalizeQuiz(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ status: 400, errors });
+      }
+
+      const created = await quizContent.create(
+        await attachListeningAudio(quiz),
+        req.user.userId
+      );
+
+      return res.status(200).json({
+        status: 200,
+        message: "Quiz created successfully",
+        data: [created],
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/update:
+ *   put:
+ *     summary: Update an existing quiz
+ *     description: Update the details of an existing quiz by its ID. Fields that are not sent keep their value, and the result is validated like a new quiz of its type. A draft is changed in place; changes to a published quiz are kept in `draft_data` until it is published again, so learners never see unpublished edits.
+ *     tags:
+ *       - Quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuizInput'
+ *               - type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: The ID of the quiz to update
+ *                 required:
+ *                   - id
+ *     responses:
+ *       '200':
+ *         description: Quiz updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: Quiz updated successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       '404':
+ *         description: Quiz not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 404
+ *                 message:
+ *                   type: string
+ *                   example: Quiz not found
+ *       '400':
+ *         description: Missing quiz ID, or an invalid quiz with field-level errors.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+quizRouter.put(
+  "/admin/update",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    body: objectSchema({ id: idSchema, ...QUIZ_INPUT_PROPERTIES }, ["id"]),
+  }),
+  async (req, res) => {
+    try {
+      const { id, ...changes } = req.body;
+
+      const existing = await quizContent.load(id);
+
+      if (!existing || existing.deleted_at) {
+        return res.status(404).json({
+          status: 404,
+          message: "Quiz not found",
+        });
+      }
+
+      const current = workingCopy(existing, QUIZ_CONTENT_FIELDS);
+      const { quiz, errors } = normalizeQuiz({
+        ...quizToInput(current),
+        ...changes,
+      });
+
+      if (errors.length > 0) {
+        return res.status(400).json({ status: 400, errors });
+      }
+
+      const updated = await quizContent.saveDraft(
+        existing,
+        await attachListeningAudio(quiz, current),
+        req.user.userId
+      );
+
+      // Return the updated data
+      return res.status(200).json({
+        status: 200,
+        message: "Quiz updated successfully",
+        data: [updated],
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/delete/{quiz_id}:
+ *   delete:
+ *     summary: Delete a quiz
+ *     description: Move a quiz to the trash by its ID. Learners no longer see it and it can be restored with /api/quiz/admin/restore.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the quiz to delete
+ *     responses:
+ *       '200':
+ *         description: Quiz deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Quiz deleted successfully
+ *       '400':
+ *         description: Quiz ID is required.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 400
+ *                 message:
+ *                   type: string
+ *                   example: Quiz ID is required
+ *       '404':
+ *         description: Quiz not found or already deleted.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ */
+quizRouter.delete(
+  "/admin/delete/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: quizIdParams }),
+  async (req, res) => {
+    try {
+      const { quiz_id } = req.params;
 
-    return res.status(200).json({ message: "Quiz deleted successfully." });
-  } catch (error) {
-    return res.status(500).json({
-      status: 500,
-      message: "Internal Server Error",
+      const existing = await quizContent.load(quiz_id);
+
+      if (!existing || existing.deleted_at) {
+        return res.status(404).json({
+          status: 404,
+          message: "Quiz not found",
+        });
+      }
+
+      await quizContent.remove(existing, req.user.userId);
+
+      return res.status(200).json({ message: "Quiz deleted successfully." });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * Load a quiz for the admin routes below, or send the 404. Deleted quizzes
+ * are only found when `deleted` is true.
+ */
+const loadAdminQuiz = async (res, quizId, { deleted = false } = {}) => {
+  const quiz = await quizContent.load(quizId);
+
+  if (!quiz || Boolean(quiz.deleted_at) !== deleted) {
+    res.status(404).json({
+      status: 404,
+      message: deleted ? "No deleted quiz with this ID" : "Quiz not found",
     });
+    return null;
   }
-});
+
+  return quiz;
+};
+
+/**
+ * @swagger
+ * /api/quiz/admin/list:
+ *   get:
+ *     summary: List the quizzes of a practice for admins
+ *     description: Every quiz of a practice with its status and pending draft, including drafts. Deleted quizzes are listed with `status=deleted`.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: query
+ *         name: practice_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, deleted]
+ *     responses:
+ *       '200':
+ *         description: The quizzes.
+ *       '400':
+ *         description: Missing practice_id or unknown status.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/list",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    query: objectSchema(
+      {
+        practice_id: idSchema,
+        status: {
+          type: "string",
+          enum: [...Object.values(CONTENT_STATUS), DELETED_STATUS],
+        },
+      },
+      ["practice_id"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { practice_id, status } = req.query;
+
+      const { data, error } = await withContentStatus(
+        db.from("m_quiz").select("*").eq("practice_id", practice_id),
+        status
+      ).order("quiz_id", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        data,
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/publish/{quiz_id}:
+ *   post:
+ *     summary: Publish a quiz
+ *     description: Make a draft quiz, or the pending draft of a published quiz, visible to learners.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Quiz published.
+ *       '400':
+ *         description: The quiz is published and has no pending changes.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: Quiz not found.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.post(
+  "/admin/publish/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: quizIdParams }),
+  async (req, res) => {
+    try {
+      const quiz = await loadAdminQuiz(res, req.params.quiz_id);
+
+      if (!quiz) {
+        return;
+      }
+
+      if (
+        contentStatus(quiz) === CONTENT_STATUS.PUBLISHED &&
+        !quiz.draft_data
+      ) {
+        return res.status(400).json({
+          status: 400,
+          message: "The quiz has no changes to publish",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Quiz published successfully",
+        data: await quizContent.publish(quiz, req.user.userId),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/restore/{quiz_id}:
+ *   post:
+ *     summary: Restore a deleted quiz
+ *     description: Take a quiz out of the trash with the status it had.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Quiz restored.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: No deleted quiz with this ID.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.post(
+  "/admin/restore/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: quizIdParams }),
+  async (req, res) => {
+    try {
+      const quiz = await loadAdminQuiz(res, req.params.quiz_id, {
+        deleted: true,
+      });
+
+      if (!quiz) {
+        return;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Quiz restored successfully",
+        data: await quizContent.restore(quiz, req.user.userId),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/revisions/{quiz_id}:
+ *   get:
+ *     summary: Revision history of a quiz
+ *     description: Every change to a quiz, newest first, with who made it, when, the fields that changed and the full content after the change.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The revisions.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/revisions/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: quizIdParams }),
+  async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 200,
+        data: await quizContent.listRevisions(req.params.quiz_id),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/revisions/{quiz_id}/diff:
+ *   get:
+ *     summary: Compare two revisions of a quiz
+ *     description: The fields that differ between two revisions. Without `to` the latest revision is used, without `from` the revision before `to`.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Revision ID to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Revision ID to compare to
+ *     responses:
+ *       '200':
+ *         description: The differences as a list of { field, from, to }.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: The quiz has no such revision.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/revisions/:quiz_id/diff",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    params: quizIdParams,
+    query: objectSchema({ from: idSchema, to: idSchema }),
+  }),
+  async (req, res) => {
+    try {
+      const comparison = await quizContent.compare(req.params.quiz_id, {
+        fromId: req.query.from,
+        toId: req.query.to,
+      });
+
+      if (!comparison) {
+        return res.status(404).json({
+          status: 404,
+          message: "Revision not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        data: comparison,
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/rollback/{quiz_id}:
+ *   post:
+ *     summary: Roll a quiz back to an earlier revision
+ *     description: Bring back the content of an earlier revision. Like an update, it replaces a draft and becomes the pending draft of a published quiz, so it goes live when the quiz is published.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: path
+ *         name: quiz_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               revision_id:
+ *                 type: integer
+ *             required:
+ *               - revision_id
+ *     responses:
+ *       '200':
+ *         description: The quiz with the content of the revision.
+ *       '400':
+ *         description: revision_id is required.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '404':
+ *         description: Quiz or revision not found.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.post(
+  "/admin/rollback/:quiz_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    params: quizIdParams,
+    body: objectSchema({ revision_id: idSchema }, ["revision_id"]),
+  }),
+  async (req, res) => {
+    try {
+      const { revision_id } = req.body;
+
+      const quiz = await loadAdminQuiz(res, req.params.quiz_id);
+
+      if (!quiz) {
+        return;
+      }
+
+      const revision = await quizContent.loadRevision(
+        quiz.quiz_id,
+        revision_id
+      );
+
+      if (!revision) {
+        return res.status(404).json({
+          status: 404,
+          message: "Revision not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Quiz rolled back successfully",
+        data: await quizContent.rollback(quiz, revision, req.user.userId),
+      });
+    } catch (error) {
+      console.error("Internal Server Error:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/import:
+ *   post:
+ *     summary: Bulk import quizzes from a file
+ *     description: |
+ *       Upload up to 1000 quizzes as CSV or JSON, in the format of /api/quiz/admin/export. Every row is validated like /api/quiz/admin/create; its practice must exist and the same question with the same answers must not be in the practice or the file already. At most 50 rows may be listening quizzes, whose audio is generated during the import.
+ *
+ *       CSV files have a header row with the QuizInput fields. List cells separate their values with `|` and matching pairs are written as `left=right`; a backslash escapes the next character, so `\|`, `\=` and `\\` stand for the characters themselves. JSON files are an array of QuizInput objects.
+ *
+ *       With `dry_run` only the row-by-row report is returned. Otherwise the quizzes are inserted all at once as drafts, or none of them if any row is invalid.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: query
+ *         name: practice_id
+ *         schema:
+ *           type: integer
+ *         description: Practice of the rows that do not set practice_id
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '200':
+ *         description: The report of every row and, unless dry_run, the number of quizzes imported.
+ *       '400':
+ *         description: The file cannot be read, has no or too many rows, or has invalid rows (with the report; nothing is imported).
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '413':
+ *         description: The file is larger than 2 MB.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.post(
+  "/admin/import",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    query: objectSchema({
+      practice_id: idSchema,
+      dry_run: { type: "boolean", default: false },
+    }),
+  }),
+  singleFileUpload("file", {
+    maxBytes: MAX_IMPORT_BYTES,
+    mimeTypes: IMPORT_MIME_TYPES,
+  }),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dry_run;
+      const format = fileFormat(req.file);
+      const rows = parseQuizFile(req.file.buffer, format);
+
+      if (!rows) {
+        return res.status(400).json({
+          status: 400,
+          message: `The file could not be read as ${format.toUpperCase()}`,
+        });
+      }
+
+      if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          status: 400,
+          message: `The file must contain 1 to ${MAX_IMPORT_ROWS} quizzes`,
+        });
+      }
+
+      const defaultPracticeId = req.query.practice_id || null;
+      const requestedIds = [
+        ...new Set(
+          rows
+            .map((row) => (row && row.practice_id) || defaultPracticeId)
+            .filter((practiceId) => Number.isInteger(Number(practiceId)))
+            .map(Number)
+        ),
+      ];
+
+      const { data: practices, error: practiceError } = await db
+        .from("m_practice")
+        .select("practice_id")
+        .in("practice_id", requestedIds);
+
+      if (practiceError) {
+        throw practiceError;
+      }
+
+      const practiceIds = practices.map((practice) => practice.practice_id);
+      const existingQuizzes = practiceIds.length
+        ? await fetchAllRows(() =>
+            db
+              .from("m_quiz")
+              .select(QUIZ_COLUMNS)
+              .in("practice_id", practiceIds)
+              .is("deleted_at", null)
+              .order("quiz_id", { ascending: true })
+          )
+        : [];
+
+      const { report, quizzes } = validateQuizRows(rows, {
+        defaultPracticeId,
+        practiceIds: new Set(practiceIds.map(String)),
+        existingQuizzes,
+      });
+      const invalidCount = rows.length - quizzes.length;
+      const summary = {
+        dry_run: dryRun,
+        total_count: rows.length,
+        valid_count: quizzes.length,
+        invalid_count: invalidCount,
+        rows: report,
+      };
+
+      if (dryRun || invalidCount > 0) {
+        const status = dryRun ? 200 : 400;
+        return res.status(status).json({
+          status,
+          message:
+            invalidCount > 0
+              ? "Some rows are invalid, nothing was imported"
+              : "All rows are valid",
+          data: summary,
+        });
+      }
+
+      // One insert is one statement, so either every row is saved or none.
+      // Audio generated for a failed import is deleted again.
+      const withAudio = [];
+      let created;
+      try {
+        for (const quiz of quizzes) {
+          withAudio.push(await attachListeningAudio(quiz));
+        }
+        created = await quizContent.createMany(withAudio, req.user.userId);
+      } catch (error) {
+        await removeListeningAudio(withAudio).catch((removeError) =>
+          console.error("Error removing import audio:", removeError.message)
+        );
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Quizzes imported successfully",
+        data: { ...summary, imported: created.length },
+      });
+    } catch (error) {
+      console.error("Error importing quizzes:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quiz/admin/export:
+ *   get:
+ *     summary: Export the quizzes of a practice
+ *     description: Download a practice's quizzes as CSV or JSON, in the format /api/quiz/admin/import reads. Quizzes are exported as they are being edited, pending drafts included; deleted quizzes are left out.
+ *     tags:
+ *       - Quiz
+ *     parameters:
+ *       - in: query
+ *         name: practice_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       '200':
+ *         description: The quizzes, sent as an attachment.
+ *       '400':
+ *         description: Missing practice_id or unknown format.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '500':
+ *         description: Internal Server Error
+ */
+quizRouter.get(
+  "/admin/export",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    query: objectSchema(
+      {
+        practice_id: idSchema,
+        format: {
+          type: "string",
+          enum: Object.values(QUIZ_FILE_FORMATS),
+          default: QUIZ_FILE_FORMATS.CSV,
+        },
+      },
+      ["practice_id"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { practice_id, format } = req.query;
+
+      const quizzes = await fetchAllRows(() =>
+        db
+          .from("m_quiz")
+          .select("*")
+          .eq("practice_id", practice_id)
+          .is("deleted_at", null)
+          .order("quiz_id", { ascending: true })
+      );
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="quizzes-practice-${practice_id}.${format}"`
+      );
+      return res
+        .status(200)
+        .type(
+          format === QUIZ_FILE_FORMATS.JSON ? "application/json" : "text/csv"
+        )
+        .send(
+          exportQuizFile(
+            quizzes.map((quiz) => workingCopy(quiz, QUIZ_CONTENT_FIELDS)),
+            format
+          )
+        );
+    } catch (error) {
+      console.error("Error exporting quizzes:", error);
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
 
 export default quizRouter;
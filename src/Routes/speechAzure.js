@@ -3,12 +3,23 @@ import { config as dotenvConfig } from "dotenv";
 import axios from "axios";
 import * as sdk from "microsoft-cognitiveservices-speech-sdk";
 import _ from "lodash";
-import { verifyToken } from "./helpers/middleware.js";
+import { createClient } from "@supabase/supabase-js";
+import { verifyToken, optionalToken } from "./helpers/middleware.js";
+import { awardBadges } from "./helpers/badges.js";
+import { synthesizeSpeech } from "./helpers/speech.js";
+import { validate, objectSchema, textSchema } from "./helpers/validation.js";
+import {
+  recordXpEvent,
+  XP_SOURCES,
+  SPEECH_ASSESSMENT_XP,
+} from "./helpers/xp.js";
 
 dotenvConfig();
 
 const speechAzureRouter = express.Router();
 
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
 /**
  * @swagger
  * /api/speech/text-to-speech:
@@ -41,37 +52,23 @@ const speechAzureRouter = express.Router();
  *                   format: base64
  *                   description: Base64 encoded audio content.
  */
-speechAzureRouter.post("/text-to-speech", verifyToken, async (req, res) => {
-  try {
-    const { text } = req.body;
-    const speechEndpoint = `https://eastasia.tts.speech.microsoft.com/cognitiveservices/v1`;
-    const xmlData = `
-              <speak version='1.0' xml:lang='en-US'>
-                  <voice xml:lang='en-US' xml:gender='Female' name='en-US-AvaMultilingualNeural'>
-                      ${text}
-                  </voice>
-              </speak>
-            `;
-
-    const response = await axios.post(speechEndpoint, xmlData, {
-      headers: {
-        "Ocp-Apim-Subscription-Key": process.env.SPEECH_KEY,
-        "Content-Type": "application/ssml+xml",
-        "X-Microsoft-OutputFormat": "audio-16khz-128kbitrate-mono-mp3",
-        "User-Agent": "curl",
-      },
-      responseType: "arraybuffer",
-    });
-
-    const audioBuffer = Buffer.from(response.data, "binary");
-    const audioBase64 = audioBuffer.toString("base64");
-
-    res.json({ audioContent: audioBase64 });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+speechAzureRouter.post(
+  "/text-to-speech",
+  verifyToken,
+  validate({ body: objectSchema({ text: textSchema }, ["text"]) }),
+  async (req, res) => {
+    try {
+      const { text } = req.body;
+      const audioBuffer = await synthesizeSpeech(text);
+      const audioBase64 = audioBuffer.toString("base64");
+
+      res.json({ audioContent: audioBase64 });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
   }
-});
+);
 
 // Middleware to parse binary request body
 speechAzureRouter.use(express.raw({ limit: "100mb", type: "audio/wave" }));
@@ -81,6 +78,7 @@ speechAzureRouter.use(express.raw({ limit: "100mb", type: "audio/wave" }));
  * /api/speech/speech-to-text:
  *   post:
  *     summary: Convert audio data to text and perform pronunciation assessment
+ *     description: Works signed out. With a bearer token the assessment is also saved to the user's history, which earns XP and pronunciation badges and gives the assessment_id speaking quizzes are answered with. Signed-out requests get assessment_id null and no badges.
  *     tags:
  *       - Speech
  *     parameters:
@@ -100,58 +98,101 @@ speechAzureRouter.use(express.raw({ limit: "100mb", type: "audio/wave" }));
  *           example: (binary audio data)
  *     responses:
  *       200:
- *         description: Speech recognition result and pronunciation assessment scores
+ *         description: Speech recognition result, pronunciation assessment scores, the saved assessment_id and any newly unlocked badges
  *       400:
  *         description: Invalid input or missing parameters
  *       500:
  *         description: Internal Server Error
  */
-speechAzureRouter.post("/speech-to-text", async (req, res) => {
-  try {
-    const { referenceText } = req.query;
-    const audioData = req.body; // Assuming binary audio data is provided directly in the request body
-    const subscriptionKey = process.env.SPEECH_KEY;
-    const region = "eastasia";
-
-    console.log("Reference Text : ", referenceText);
-
-    // Perform speech recognition
-    const response = await axios.post(
-      `https://${region}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1?language=en-US&format=detailed`,
-      audioData,
-      {
-        headers: {
-          "Content-Type": "audio/wave",
-          "Ocp-Apim-Subscription-Key": subscriptionKey,
-        },
+speechAzureRouter.post(
+  "/speech-to-text",
+  optionalToken,
+  validate({
+    query: objectSchema({ referenceText: textSchema }, ["referenceText"]),
+  }),
+  async (req, res) => {
+    try {
+      const { referenceText } = req.query;
+      const audioData = req.body; // Assuming binary audio data is provided directly in the request body
+      const subscriptionKey = process.env.SPEECH_KEY;
+      const region = "eastasia";
+
+      console.log("Reference Text : ", referenceText);
+
+      // Perform speech recognition
+      const response = await axios.post(
+        `https://${region}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1?language=en-US&format=detailed`,
+        audioData,
+        {
+          headers: {
+            "Content-Type": "audio/wave",
+            "Ocp-Apim-Subscription-Key": subscriptionKey,
+          },
+        }
+      );
+
+      const buffer = Buffer.isBuffer(audioData)
+        ? audioData
+        : Buffer.from(audioData);
+
+      console.log(buffer);
+
+      // Perform pronunciation assessment
+      const pronunciationScores =
+        await pronunciationAssessmentContinuousWithFile(buffer, referenceText);
+
+      if (!req.user) {
+        return res.status(200).json({
+          status: 200,
+          body: {
+            text: response.data.DisplayText,
+            pronunciationScores,
+            assessment_id: null,
+          },
+          unlocked_badges: [],
+        });
       }
-    );
 
-    const buffer = Buffer.isBuffer(audioData)
-      ? audioData
-      : Buffer.from(audioData);
+      const { data: assessment, error } = await db
+        .from("t_speech_assessment")
+        .insert({
+          user_id: req.user.userId,
+          reference_text: referenceText,
+          recognized_text: response.data.DisplayText,
+          accuracy_score: pronunciationScores.accuracyScore,
+          pronunciation_score: pronunciationScores.pronunciationScore,
+          completeness_score: pronunciationScores.completenessScore,
+          fluency_score: pronunciationScores.fluencyScore,
+          created_at: new Date().toISOString(),
+        })
+        .select("assessment_id");
 
-    console.log(buffer);
+      if (error) {
+        throw error;
+      }
 
-    // Perform pronunciation assessment
-    const pronunciationScores = await pronunciationAssessmentContinuousWithFile(
-      buffer,
-      referenceText
-    );
+      await recordXpEvent(req.user.userId, {
+        source: XP_SOURCES.SPEECH,
+        amount: SPEECH_ASSESSMENT_XP,
+        referenceId: assessment[0].assessment_id,
+      });
 
-    // Combine speech recognition result with pronunciation scores
-    return res.status(200).json({
-      status: 200,
-      body: {
-        text: response.data.DisplayText,
-        pronunciationScores,
-      },
-    });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+      // Combine speech recognition result with pronunciation scores
+      return res.status(200).json({
+        status: 200,
+        body: {
+          text: response.data.DisplayText,
+          pronunciationScores,
+          assessment_id: assessment[0].assessment_id,
+        },
+        unlocked_badges: await awardBadges(req.user.userId),
+      });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
   }
-});
+);
 
 // Pronunciation Assessment using Microsoft Machine Learning SDK
 const pronunciationAssessmentContinuousWithFile = async (
@@ -1,60 +1,1540 @@
+import crypto from "crypto";
 import express from "express";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import moment from "moment";
-import { verifyToken } from "./helpers/middleware.js";
+import {
+  verifyToken,
+  resolveActingUser,
+  requirePermission,
+  singleFileUpload,
+  requireCronSecret,
+} from "./helpers/middleware.js";
+import {
+  ROLES,
+  PERMISSIONS,
+  resolveRole,
+  hasPermission,
+} from "./helpers/roles.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  getClientIp,
+} from "./helpers/session.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail,
+  sendAccountLockedEmail,
+} from "./helpers/mailer.js";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "./helpers/loginThrottle.js";
+import { exportUserData, purgeUserData } from "./helpers/userData.js";
+import { verifyIdToken } from "./helpers/oidc.js";
+import { storage } from "./helpers/storage.js";
+import { progression } from "./helpers/progression.js";
+import { isValidTimezone } from "./helpers/streak.js";
+import { isPlacementPending } from "./helpers/placement.js";
+import {
+  AVATAR_MIME_TYPES,
+  DEFAULT_AVATAR_SIZE,
+  MAX_AVATAR_BYTES,
+  processAvatar,
+  newAvatarFolder,
+  avatarFilePaths,
+} from "./helpers/avatar.js";
+import {
+  PASSWORD_RESET_TTL_MINUTES,
+  signPasswordResetToken,
+  readPasswordResetUserId,
+  isPasswordResetTokenValid,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+} from "./helpers/accountTokens.js";
+import {
+  validate,
+  objectSchema,
+  idSchema,
+  textSchema,
+  emailSchema,
+  dateSchema,
+} from "./helpers/validation.js";
 
 dotenvConfig();
 const usersRouter = express.Router();
 
 const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_PASSWORD_URL =
+  process.env.RESET_PASSWORD_URL ||
+  "https://lingopal-cms.vercel.app/reset-password";
+const ACCOUNT_DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// An ID token only re-authenticates a deletion if the user just signed in
+const REAUTH_MAX_AGE_SECONDS = 10 * 60;
+const RESEND_VERIFICATION_COOLDOWN_SECONDS =
+  Number(process.env.RESEND_VERIFICATION_COOLDOWN_SECONDS) || 120;
+
+const ACCOUNT_STATUS = {
+  ACTIVE: "active",
+  SUSPENDED: "suspended",
+  BANNED: "banned",
+};
+const USER_LIST_COLUMNS =
+  "user_id, name, email, image, fgVerified, fgAdmin, role, status, suspended_until, moderation_reason, user_last_login";
+const MAX_PAGE_SIZE = 100;
+// Logins used to be stored as MM-DD-YYYY text, which does not sort
+const LEGACY_LAST_LOGIN_FORMAT = "MM-DD-YYYY";
+const LEGACY_LAST_LOGIN_PATTERN = "__-__-____";
+const LAST_LOGIN_BACKFILL_BATCH_SIZE = 200;
+
+const INVALID_CREDENTIALS = "Unauthorized, incorrect email or password.";
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("lingopal-dummy-password", 10);
+
+const userIdParams = objectSchema({ user_id: idSchema }, ["user_id"]);
+const newPasswordSchema = { type: "string", minLength: MIN_PASSWORD_LENGTH };
+const deviceNameSchema = {
+  type: "string",
+  description: "Optional label shown in the session list",
+};
+const signInBody = objectSchema(
+  { email: emailSchema, password: textSchema, device_name: deviceNameSchema },
+  ["email", "password"]
+);
+
+/**
+ * Why a suspended or banned user may not sign in, or null when they may.
+ */
+const accountBlockReason = (user) => {
+  if (user.status === ACCOUNT_STATUS.BANNED) {
+    return "This account has been banned.";
+  }
+
+  if (
+    user.status === ACCOUNT_STATUS.SUSPENDED &&
+    (!user.suspended_until || new Date(user.suspended_until) > new Date())
+  ) {
+    return user.suspended_until
+      ? `This account is suspended until ${moment(user.suspended_until).format(
+          "DD MMMM YYYY HH:mm"
+        )}.`
+      : "This account is suspended.";
+  }
+
+  return null;
+};
+
+/**
+ * Check the email and password of a sign in request behind the brute-force
+ * throttle. Resolves to { user } on success, or to { failure } holding the
+ * response to send. Failures look the same whether or not the email exists.
+ */
+const authenticate = async (req, columns) => {
+  const { email, password } = req.body;
+  const ipAddress = getClientIp(req);
+
+  const throttle = await checkLoginThrottle(email, ipAddress);
+  if (throttle.locked) {
+    return {
+      failure: {
+        status: 429,
+        error: "Too many failed sign in attempts. Please try again later.",
+        retryAfter: throttle.retryAfter,
+      },
+    };
+  }
+
+  const { data: users, error } = await db
+    .from("m_users")
+    .select(columns)
+    .eq("email", email)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const user = users && users[0];
+
+  // Compare the provided password with the hashed password stored in the database
+  const passwordMatch = await bcrypt.compare(
+    String(password || ""),
+    user ? user.password : DUMMY_PASSWORD_HASH
+  );
+
+  if (!user || !passwordMatch) {
+    const { emailLocked } = await recordLoginFailure(email, ipAddress);
+
+    if (emailLocked && user) {
+      sendAccountLockedEmail(user.email).catch((mailError) =>
+        console.error("Error sending lockout email:", mailError.message)
+      );
+    }
+
+    return { failure: { status: 403, error: INVALID_CREDENTIALS } };
+  }
+
+  await clearLoginFailures(email);
+
+  const blockReason = accountBlockReason(user);
+  if (blockReason) {
+    return { failure: { status: 403, error: blockReason } };
+  }
+
+  return { user };
+};
+
+const sendAuthFailure = (res, failure) => {
+  if (failure.retryAfter) {
+    res.set("Retry-After", String(failure.retryAfter));
+  }
+
+  return res.status(failure.status).json({ error: failure.error });
+};
+
+/**
+ * Email a password reset link. The user row needs email and password hash.
+ */
+const sendPasswordReset = (user) =>
+  sendPasswordResetEmail(
+    user.email,
+    `${RESET_PASSWORD_URL}?token=${encodeURIComponent(
+      signPasswordResetToken(user)
+    )}`,
+    PASSWORD_RESET_TTL_MINUTES
+  );
+
+/**
+ * Email a fresh verification link to a user and remember when it was sent,
+ * which is what the resend cooldown is measured from.
+ */
+const sendAccountVerification = async (req, user) => {
+  const baseUrl =
+    process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const token = signEmailVerificationToken(user);
+
+  await sendVerificationEmail(
+    user.email,
+    `${baseUrl}/api/users/verify-account?token=${encodeURIComponent(token)}`
+  );
+
+  await db
+    .from("m_users")
+    .update({ verification_sent_at: new Date().toISOString() })
+    .eq("user_id", user.user_id);
+};
+
+/**
+ * Create the progress row of a freshly inserted user. An account without it
+ * cannot be used, so the user row is removed again if this fails.
+ */
+const initializeNewUser = async (userId) => {
+  try {
+    await progression.initializeUser(userId);
+  } catch (error) {
+    await db.from("m_users").delete().eq("user_id", userId);
+    throw error;
+  }
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Retrieve a list of users or search users by email
+ *     description: Retrieve a list of users from the Supabase database or search users by email. Admin only, see /api/users/admin for the paginated listing.
+ *     tags:
+ *      - Users
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filter users by email address
+ *     responses:
+ *       '200':
+ *         description: A JSON array of users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ */
+usersRouter.get(
+  "/",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ query: objectSchema({ email: emailSchema }) }),
+  async (req, res) => {
+    try {
+      const { email } = req.query;
+      let fetchUsers;
+
+      if (email) {
+        fetchUsers = await db
+          .from("m_users")
+          .select("user_id, name, email, birth_date, image")
+          .eq("email", email);
+      } else {
+        fetchUsers = await db
+          .from("m_users")
+          .select("user_id, name, email, birth_date, image");
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: fetchUsers,
+      });
+    } catch (error) {
+      console.error("Error retrieving users:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin:
+ *   get:
+ *     summary: List users for the CMS
+ *     description: Paginated user listing with partial name/email search, sorted by last login or points. Admin only.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Partial match on name or email
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [last_login, points]
+ *           default: last_login
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       '200':
+ *         description: A page of users and the pagination info.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage users.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.get(
+  "/admin",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    query: objectSchema({
+      page: { type: "integer", minimum: 1, default: 1 },
+      page_size: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_PAGE_SIZE,
+        default: 20,
+      },
+      search: { type: "string" },
+      sort: { type: "string", enum: ["last_login", "points"] },
+      order: { type: "string", enum: ["asc", "desc"] },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { page, page_size: pageSize } = req.query;
+      const ascending = req.query.order === "asc";
+      const from = (page - 1) * pageSize;
+      // Characters that would break the PostgREST or() filter are dropped
+      const search = (req.query.search || "").replace(/[,()"\\%*:]/g, "");
+      const searchFilter = `name.ilike.%${search}%,email.ilike.%${search}%`;
+
+      let result;
+      if (req.query.sort === "points") {
+        // Points live in t_user_progress, so rank from there
+        let query = db
+          .from("t_user_progress")
+          .select(`total_poin, user:user_id!inner(${USER_LIST_COLUMNS})`, {
+            count: "exact",
+          })
+          .order("total_poin", { ascending })
+          .range(from, from + pageSize - 1);
+
+        if (search) {
+          query = query.or(searchFilter, { referencedTable: "user" });
+        }
+
+        result = await query;
+        result.data = (result.data || []).map(({ total_poin, user }) => ({
+          ...user,
+          total_poin,
+        }));
+      } else {
+        let query = db
+          .from("m_users")
+          .select(
+            `${USER_LIST_COLUMNS}, progress:t_user_progress(total_poin)`,
+            {
+              count: "exact",
+            }
+          )
+          .order("user_last_login", { ascending, nullsFirst: false })
+          .range(from, from + pageSize - 1);
+
+        if (search) {
+          query = query.or(searchFilter);
+        }
+
+        result = await query;
+        result.data = (result.data || []).map(({ progress, ...user }) => ({
+          ...user,
+          total_poin: progress && progress[0] ? progress[0].total_poin : 0,
+        }));
+      }
+
+      if (result.error) {
+        throw result.error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: result.data,
+        pagination: {
+          page,
+          page_size: pageSize,
+          total: result.count || 0,
+          total_pages: Math.ceil((result.count || 0) / pageSize),
+        },
+      });
+    } catch (error) {
+      console.error("Error listing users:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin/{user_id}/flags:
+ *   patch:
+ *     summary: Update a user's flags
+ *     description: Toggle `fgVerified` / `fgAdmin` or change the role of a user. Admin only. Admins cannot remove their own admin rights.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fgVerified:
+ *                 type: boolean
+ *               fgAdmin:
+ *                 type: boolean
+ *               role:
+ *                 type: string
+ *                 enum: [learner, content_editor, admin]
+ *     responses:
+ *       '200':
+ *         description: User updated successfully.
+ *       '400':
+ *         description: Nothing to update, invalid role, or self-demotion.
+ *       '404':
+ *         description: User not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.patch(
+  "/admin/:user_id/flags",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    params: userIdParams,
+    body: objectSchema({
+      fgVerified: { type: "boolean" },
+      fgAdmin: { type: "boolean" },
+      role: { type: "string", enum: Object.values(ROLES) },
+    }),
+  }),
+  async (req, res) => {
+    const { user_id } = req.params;
+    const { fgVerified, fgAdmin, role } = req.body;
+
+    const changes = {};
+    if (fgVerified !== undefined) {
+      changes.fgVerified = fgVerified;
+    }
+    if (fgAdmin !== undefined) {
+      changes.fgAdmin = fgAdmin;
+    }
+    if (role !== undefined) {
+      changes.role = role;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+
+    if (
+      String(user_id) === String(req.user.userId) &&
+      (changes.fgAdmin === false ||
+        (changes.role && changes.role !== ROLES.ADMIN))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "You cannot remove your own admin rights." });
+    }
+
+    try {
+      const { data: users, error } = await db
+        .from("m_users")
+        .update(changes)
+        .eq("user_id", user_id)
+        .select(USER_LIST_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      return res.status(200).json({
+        message: "User updated successfully.",
+        body: users,
+      });
+    } catch (error) {
+      console.error("Error updating user flags:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * Apply a moderation status to a user and sign them out everywhere when the
+ * account is blocked. Resolves to the updated row, or null if not found.
+ */
+const moderateUser = async (userId, changes) => {
+  const { data: users, error } = await db
+    .from("m_users")
+    .update(changes)
+    .eq("user_id", userId)
+    .select(USER_LIST_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  if (changes.status !== ACCOUNT_STATUS.ACTIVE) {
+    await revokeUserSessions(userId);
+  }
+
+  return users[0];
+};
+
+/**
+ * @swagger
+ * /api/users/admin/{user_id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: Block sign in until a date (or indefinitely) and sign the user out of every device. Admin only.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Leave empty for an indefinite suspension
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: User suspended.
+ *       '400':
+ *         description: Invalid date or self-suspension.
+ *       '404':
+ *         description: User not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/admin/:user_id/suspend",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    params: userIdParams,
+    body: objectSchema({
+      until: { type: "string", nullable: true },
+      reason: { type: "string", nullable: true },
+    }),
+  }),
+  async (req, res) => {
+    const { user_id } = req.params;
+    const { until, reason } = req.body;
+
+    if (until && (!moment(until).isValid() || moment(until).isBefore())) {
+      return res
+        .status(400)
+        .json({ error: "'until' must be a date in the future." });
+    }
+
+    if (String(user_id) === String(req.user.userId)) {
+      return res.status(400).json({ error: "You cannot suspend yourself." });
+    }
+
+    try {
+      const user = await moderateUser(user_id, {
+        status: ACCOUNT_STATUS.SUSPENDED,
+        suspended_until: until ? moment(until).toISOString() : null,
+        moderation_reason: reason || null,
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      return res
+        .status(200)
+        .json({ message: "User suspended successfully.", body: user });
+    } catch (error) {
+      console.error("Error suspending user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin/{user_id}/ban:
+ *   post:
+ *     summary: Ban a user
+ *     description: Permanently block sign in and sign the user out of every device. Admin only.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: User banned.
+ *       '400':
+ *         description: Self-ban.
+ *       '404':
+ *         description: User not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/admin/:user_id/ban",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({
+    params: userIdParams,
+    body: objectSchema({ reason: { type: "string", nullable: true } }),
+  }),
+  async (req, res) => {
+    const { user_id } = req.params;
+    const { reason } = req.body;
+
+    if (String(user_id) === String(req.user.userId)) {
+      return res.status(400).json({ error: "You cannot ban yourself." });
+    }
+
+    try {
+      const user = await moderateUser(user_id, {
+        status: ACCOUNT_STATUS.BANNED,
+        suspended_until: null,
+        moderation_reason: reason || null,
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      return res
+        .status(200)
+        .json({ message: "User banned successfully.", body: user });
+    } catch (error) {
+      console.error("Error banning user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin/{user_id}/reinstate:
+ *   post:
+ *     summary: Reinstate a user
+ *     description: Lift a suspension or ban. Admin only.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: User reinstated.
+ *       '404':
+ *         description: User not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/admin/:user_id/reinstate",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ params: userIdParams }),
+  async (req, res) => {
+    try {
+      const user = await moderateUser(req.params.user_id, {
+        status: ACCOUNT_STATUS.ACTIVE,
+        suspended_until: null,
+        moderation_reason: null,
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      return res
+        .status(200)
+        .json({ message: "User reinstated successfully.", body: user });
+    } catch (error) {
+      console.error("Error reinstating user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin/{user_id}/force-password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: Invalidate the current password, sign the user out of every device and email them a password reset link. Admin only.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Password reset forced and email sent.
+ *       '404':
+ *         description: User not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/admin/:user_id/force-password-reset",
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate({ params: userIdParams }),
+  async (req, res) => {
+    try {
+      // A random password nobody knows leaves the reset link as the only way in
+      const hashedPassword = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10
+      );
+
+      const { data: users, error } = await db
+        .from("m_users")
+        .update({ password: hashedPassword })
+        .eq("user_id", req.params.user_id)
+        .select("user_id, email, password");
+
+      if (error) {
+        throw error;
+      }
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      await revokeUserSessions(users[0].user_id);
+      await sendPasswordReset(users[0]);
+
+      return res.status(200).json({
+        message: "Password reset forced. A reset link was sent to the user.",
+      });
+    } catch (error) {
+      console.error("Error forcing password reset:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/status:
+ *   get:
+ *     summary: Get user status
+ *     description: Retrieve user status information. `placement_pending` is true until the user completes the placement test.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         description: The ID of the user to retrieve status information for. Defaults to the signed-in user; only admins may pass another user's id.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 200
+ *                 placement_pending:
+ *                   type: boolean
+ *                 body:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       progress_id:
+ *                         type: integer
+ *                         description: The ID of the user's progress
+ *                       total_points:
+ *                         type: integer
+ *                         description: The total points of the user's progress
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             description: The name of the user
+ *                           email:
+ *                             type: string
+ *                             description: The email of the user
+ *                       level:
+ *                         type: object
+ *                         properties:
+ *                           user_level_name:
+ *                             type: string
+ *                             description: The name of the user's level
+ *                           user_level_code:
+ *                             type: string
+ *                             description: The code of the user's level
+ *       '500':
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                   example: 500
+ *                 error:
+ *                   type: string
+ *                   example: Internal server error
+ */
+usersRouter.get(
+  "/status",
+  verifyToken,
+  validate({ query: objectSchema({ user_id: idSchema }) }),
+  resolveActingUser,
+  async (req, res) => {
+    try {
+      const user_id = req.actingUserId;
+      let fetchUsers;
+
+      fetchUsers = await db
+        .from("t_user_progress")
+        .select(
+          "progress_id, progress_course_id, total_poin, user_id, user:user_id(name, email), level:user_level_id(user_level_name, user_level_code)"
+        )
+        .eq("user_id", user_id);
+
+      return res.status(200).json({
+        status: 200,
+        body: fetchUsers,
+        placement_pending: await isPlacementPending(user_id),
+      });
+    } catch (error) {
+      console.error("Error retrieving users:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/signup:
+ *   post:
+ *     summary: Sign up a new user
+ *     description: Register a new user in the Supabase database and authentication system. New users start at the lowest level with `placement_pending` true; the placement test (POST /api/placement/start) can place them higher.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               birth_date:
+ *                 type: string
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *               - birth_date
+ *     responses:
+ *       '200':
+ *         description: User signed up successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 placement_pending:
+ *                   type: boolean
+ *       '400':
+ *         description: Invalid request or user already exists.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/signup",
+  validate({
+    body: objectSchema(
+      {
+        name: textSchema,
+        email: emailSchema,
+        password: newPasswordSchema,
+        birth_date: dateSchema,
+      },
+      ["name", "email", "password", "birth_date"]
+    ),
+  }),
+  async (req, res) => {
+    const { name, email, password, birth_date } = req.body;
+
+    try {
+      // Check if the user already exists
+      const { data: existingUsers } = await db
+        .from("m_users")
+        .select("*")
+        .eq("email", email);
+
+      if (existingUsers && existingUsers.length > 0) {
+        return res.status(400).json({ error: "User already exists." });
+      }
+
+      // Hash the password
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Insert new user into Supabase users table
+      const { data: newUser } = await db
+        .from("m_users")
+        .insert([
+          {
+            name,
+            email,
+            password: hashedPassword,
+            birth_date,
+          },
+        ])
+        .select("user_id, name, email, birth_date, image");
+
+      await initializeNewUser(newUser[0].user_id);
+
+      // A failed email must not fail the signup, the user can ask for a resend
+      let verificationEmailSent = true;
+      try {
+        await sendAccountVerification(req, newUser[0]);
+      } catch (error) {
+        verificationEmailSent = false;
+        console.error("Error sending verification email:", error.message);
+      }
+
+      return res.status(200).json({
+        message: "User signed up successfully.",
+        data: newUser,
+        verification_email_sent: verificationEmailSent,
+        placement_pending: true,
+      });
+    } catch (error) {
+      console.error("Error signing up user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/signin:
+ *   post:
+ *     summary: Sign in a user
+ *     description: Authenticate a user in the Supabase authentication system.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Optional label shown in the session list
+ *             required:
+ *               - email
+ *               - password
+ *     responses:
+ *       '200':
+ *         description: User signed in successfully. Returns a short-lived access token and a refresh token.
+ *       '402':
+ *         description: Correct credentials, but the email is not verified yet.
+ *       '403':
+ *         description: Unauthorized, incorrect email or password. The same response is used for unknown emails.
+ *       '429':
+ *         description: Too many failed attempts for this email or IP address. See the Retry-After header.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/signin",
+  validate({ body: signInBody }),
+  async (req, res) => {
+    const { email, device_name } = req.body;
+
+    try {
+      const { user, failure } = await authenticate(
+        req,
+        "user_id, name, email, birth_date, password, image, fgVerified, status, suspended_until"
+      );
+
+      if (failure) {
+        return sendAuthFailure(res, failure);
+      }
+
+      // Only revealed once the password is known to be correct
+      if (!user.fgVerified) {
+        return res.status(402).json({
+          error:
+            "Unauthorized, Please check your email to verify account first.",
+        });
+      }
+
+      await db
+        .from("m_users")
+        .update({ user_last_login: new Date().toISOString() })
+        .eq("email", email);
+
+      // Start a device session and issue the access/refresh token pair
+      const tokens = await createSession({
+        userId: user.user_id,
+        deviceName: device_name,
+        userAgent: req.headers["user-agent"],
+        ipAddress: getClientIp(req),
+      });
+
+      // Return user data and tokens
+      return res.status(200).json({
+        message: "User signed in successfully.",
+        user: {
+          user_id: user.user_id,
+          name: user.name,
+          email: user.email,
+          birth_date: user.birth_date,
+          image: user.image,
+        },
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Error signing in user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/signin-oidc:
+ *   post:
+ *     summary: Sign in with Google (OIDC)
+ *     description: Verify an OIDC ID token (e.g. from Google one-tap sign in), link it to the account with the same email or create a new verified account, and sign the user in. Linking an account that was never verified signs out its sessions and disables its password.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Optional label shown in the session list
+ *             required:
+ *               - id_token
+ *     responses:
+ *       '200':
+ *         description: User signed in successfully. `is_new_user` tells whether an account was created and `placement_pending` whether the user still has to take the placement test.
+ *       '400':
+ *         description: ID token is required.
+ *       '401':
+ *         description: Invalid ID token.
+ *       '409':
+ *         description: The account with this email is already linked to another identity.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/signin-oidc",
+  validate({
+    body: objectSchema(
+      { id_token: textSchema, device_name: deviceNameSchema },
+      ["id_token"]
+    ),
+  }),
+  async (req, res) => {
+    const { id_token, device_name } = req.body;
+
+    try {
+      const claims = await verifyIdToken(id_token);
+
+      if (!claims) {
+        return res.status(401).json({ error: "Invalid ID token." });
+      }
+
+      const columns =
+        "user_id, name, email, birth_date, image, fgVerified, oidc_subject, status, suspended_until";
+
+      // Prefer an existing link to this identity, then fall back to the email
+      let { data: users, error } = await db
+        .from("m_users")
+        .select(columns)
+        .eq("oidc_issuer", claims.iss)
+        .eq("oidc_subject", claims.sub)
+        .limit(1);
+
+      if (!error && users.length === 0) {
+        ({ data: users, error } = await db
+          .from("m_users")
+          .select(columns)
+          .eq("email", claims.email)
+          .limit(1));
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      let user = users[0];
+      const isNewUser = !user;
+
+      const blockReason = user && accountBlockReason(user);
+      if (blockReason) {
+        return res.status(403).json({ error: blockReason });
+      }
+
+      // The email matched an account bound to another identity
+      if (user && user.oidc_subject && user.oidc_subject !== claims.sub) {
+        return res.status(409).json({
+          error:
+            "This email is already linked to another sign in. Please sign in with it or with your password.",
+        });
+      }
+
+      // Password sign in stays unusable until the user resets a password
+      const unusablePassword = () =>
+        bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+      if (isNewUser) {
+        const hashedPassword = await unusablePassword();
+
+        const { data: newUser, error: insertError } = await db
+          .from("m_users")
+          .insert([
+            {
+              name: claims.name || claims.email.split("@")[0],
+              email: claims.email,
+              password: hashedPassword,
+              image: claims.picture || null,
+              fgVerified: true,
+              oidc_issuer: claims.iss,
+              oidc_subject: claims.sub,
+            },
+          ])
+          .select(columns);
+
+        if (insertError) {
+          throw insertError;
+        }
+
+        user = newUser[0];
+
+        await initializeNewUser(user.user_id);
+      } else if (!user.oidc_subject) {
+        // The provider has verified the email, so link it and mark it
+        // verified. Nobody proved they own the email of an unverified
+        // account, so its password and sessions may belong to someone else.
+        const { error: linkError } = await db
+          .from("m_users")
+          .update({
+            oidc_issuer: claims.iss,
+            oidc_subject: claims.sub,
+            fgVerified: true,
+            ...(user.fgVerified ? {} : { password: await unusablePassword() }),
+          })
+          .eq("user_id", user.user_id);
+
+        if (linkError) {
+          throw linkError;
+        }
+
+        if (!user.fgVerified) {
+          await revokeUserSessions(user.user_id);
+        }
+      }
+
+      await db
+        .from("m_users")
+        .update({ user_last_login: new Date().toISOString() })
+        .eq("user_id", user.user_id);
+
+      // Start a device session and issue the access/refresh token pair
+      const tokens = await createSession({
+        userId: user.user_id,
+        deviceName: device_name,
+        userAgent: req.headers["user-agent"],
+        ipAddress: getClientIp(req),
+      });
+
+      return res.status(200).json({
+        message: "User signed in successfully.",
+        user: {
+          user_id: user.user_id,
+          name: user.name,
+          email: user.email,
+          birth_date: user.birth_date,
+          image: user.image,
+        },
+        is_new_user: isNewUser,
+        placement_pending: await isPlacementPending(user.user_id),
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Error signing in with OIDC:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/admin-signin:
+ *   post:
+ *     summary: Sign in an admin
+ *     description: Authenticate an admin in the Supabase authentication system.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *             required:
+ *               - email
+ *               - password
+ *     responses:
+ *       '200':
+ *         description: Admin or content editor signed in successfully. The role is returned for the CMS, but permissions are re-checked against m_users on every admin request.
+ *       '403':
+ *         description: Unauthorized, incorrect email or password, or correct credentials of a user who is not an admin.
+ *       '429':
+ *         description: Too many failed attempts for this email or IP address. See the Retry-After header.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/admin-signin",
+  validate({ body: signInBody }),
+  async (req, res) => {
+    const { device_name } = req.body;
+
+    try {
+      const { user, failure } = await authenticate(
+        req,
+        "user_id, name, email, birth_date, password, image, fgAdmin, role, status, suspended_until"
+      );
+
+      if (failure) {
+        return sendAuthFailure(res, failure);
+      }
+
+      // Only content editors and admins may sign in to the CMS
+      const role = resolveRole(user);
+      if (!hasPermission(role, PERMISSIONS.CMS_ACCESS)) {
+        return res
+          .status(403)
+          .json({ error: "Unauthorized, user is not an admin." });
+      }
+
+      // Start a device session and issue the access/refresh token pair
+      const tokens = await createSession({
+        userId: user.user_id,
+        isAdmin: role === ROLES.ADMIN,
+        deviceName: device_name,
+        userAgent: req.headers["user-agent"],
+        ipAddress: getClientIp(req),
+      });
+
+      // Return admin data and tokens
+      return res.status(200).json({
+        message: "Admin signed in successfully.",
+        admin: {
+          user_id: user.user_id,
+          name: user.name,
+          email: user.email,
+          birth_date: user.birth_date,
+          image: user.image,
+          fgAdmin: user.fgAdmin,
+          role,
+        },
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Error signing in admin:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/refresh:
+ *   post:
+ *     summary: Refresh an access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Each refresh token can only be used once.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *             required:
+ *               - refresh_token
+ *     responses:
+ *       '200':
+ *         description: Tokens refreshed successfully.
+ *       '400':
+ *         description: Refresh token is required.
+ *       '401':
+ *         description: Refresh token is invalid, expired or revoked.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/refresh",
+  validate({
+    body: objectSchema({ refresh_token: textSchema }, ["refresh_token"]),
+  }),
+  async (req, res) => {
+    const { refresh_token } = req.body;
+
+    try {
+      const tokens = await rotateSession(refresh_token);
+
+      if (!tokens) {
+        return res
+          .status(401)
+          .json({ error: "Invalid, expired or revoked refresh token." });
+      }
+
+      return res.status(200).json({
+        message: "Token refreshed successfully.",
+        ...tokens,
+      });
+    } catch (error) {
+      console.error("Error refreshing token:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
 /**
  * @swagger
- * /api/users:
- *   get:
- *     summary: Retrieve a list of users or search users by email
- *     description: Retrieve a list of users from the Supabase database or search users by email.
+ * /api/users/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke the session of the current access token, or every session of the user when `all` is true.
  *     tags:
- *      - Users
- *     parameters:
- *       - in: query
- *         name: email
- *         schema:
- *           type: string
- *         description: Filter users by email address
+ *       - Users
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *                 description: Log out from every device
  *     responses:
  *       '200':
- *         description: A JSON array of users.
- *         content:
- *           application/json:
- *             schema:
- *               type: array
+ *         description: Logged out successfully.
+ *       '500':
+ *         description: Internal server error.
  */
-usersRouter.get("/", async (req, res) => {
-  try {
-    const { email } = req.query;
-    let fetchUsers;
+usersRouter.post(
+  "/logout",
+  verifyToken,
+  validate({
+    body: objectSchema({ all: { type: "boolean", default: false } }),
+  }),
+  async (req, res) => {
+    const { all } = req.body;
 
-    if (email) {
-      fetchUsers = await db
-        .from("m_users")
-        .select("user_id, name, email, birth_date, image")
-        .eq("email", email);
-    } else {
-      fetchUsers = await db
-        .from("m_users")
-        .select("user_id, name, email, birth_date, image");
+    try {
+      if (all) {
+        await revokeUserSessions(req.user.userId);
+      } else {
+        await revokeSession(req.user.sid, req.user.userId);
+      }
+
+      return res.status(200).json({ message: "Logged out successfully." });
+    } catch (error) {
+      console.error("Error logging out user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
     }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the devices the current user is signed in on.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       '200':
+ *         description: A JSON array of sessions, the current one flagged with `is_current`.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.userId);
 
     return res.status(200).json({
       status: 200,
-      body: fetchUsers,
+      body: sessions.map((session) => ({
+        ...session,
+        is_current: session.session_id === req.user.sid,
+      })),
     });
   } catch (error) {
-    console.error("Error retrieving users:", error.message);
+    console.error("Error retrieving sessions:", error.message);
     return res.status(500).json({
       status: 500,
       error: "Internal server error",
@@ -64,59 +1544,103 @@ usersRouter.get("/", async (req, res) => {
 
 /**
  * @swagger
- * /api/users/status:
- *   get:
- *     summary: Get user status
- *     description: Retrieve user status information.
+ * /api/users/sessions/{session_id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Sign out one of the current user's devices.
  *     tags:
  *       - Users
  *     parameters:
- *       - in: query
- *         name: user_id
+ *       - in: path
+ *         name: session_id
  *         required: true
- *         description: The ID of the user to retrieve status information for.
  *         schema:
- *           type: integer
+ *           type: string
  *     responses:
  *       '200':
- *         description: Successful operation
+ *         description: Session revoked successfully.
+ *       '404':
+ *         description: Session not found.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.delete(
+  "/sessions/:session_id",
+  verifyToken,
+  validate({
+    params: objectSchema({ session_id: textSchema }, ["session_id"]),
+  }),
+  async (req, res) => {
+    try {
+      const revoked = await revokeSession(
+        req.params.session_id,
+        req.user.userId
+      );
+
+      if (!revoked) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+
+      return res.status(200).json({ message: "Session revoked successfully." });
+    } catch (error) {
+      console.error("Error revoking session:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/update:
+ *   post:
+ *     summary: Update user information
+ *     description: Update the name, and birth date of a user.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 description: Defaults to the signed-in user. Only admins may pass another user's id.
+ *               name:
+ *                 type: string
+ *               birth_date:
+ *                 type: string
+ *                 format: date
+ *               image:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Jakarta
+ *                 description: IANA timezone that daily streaks are counted in.
+ *     responses:
+ *       '200':
+ *         description: User updated successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: integer
- *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: User updated successfully.
  *                 body:
  *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       progress_id:
- *                         type: integer
- *                         description: The ID of the user's progress
- *                       total_points:
- *                         type: integer
- *                         description: The total points of the user's progress
- *                       user:
- *                         type: object
- *                         properties:
- *                           name:
- *                             type: string
- *                             description: The name of the user
- *                           email:
- *                             type: string
- *                             description: The email of the user
- *                       level:
- *                         type: object
- *                         properties:
- *                           user_level_name:
- *                             type: string
- *                             description: The name of the user's level
- *                           user_level_code:
- *                             type: string
- *                             description: The code of the user's level
+ *       '404':
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: User not found.
  *       '500':
  *         description: Internal server error
  *         content:
@@ -124,456 +1648,738 @@ usersRouter.get("/", async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: integer
- *                   example: 500
  *                 error:
  *                   type: string
- *                   example: Internal server error
+ *                   example: Internal server error.
  */
-usersRouter.get("/status", verifyToken, async (req, res) => {
-  try {
-    const { user_id } = req.query;
-    let fetchUsers;
+usersRouter.post(
+  "/update",
+  verifyToken,
+  validate({
+    body: objectSchema({
+      user_id: idSchema,
+      name: textSchema,
+      birth_date: dateSchema,
+      image: { type: "string", nullable: true },
+      timezone: { type: "string" },
+    }),
+  }),
+  resolveActingUser,
+  async (req, res) => {
+    const user_id = req.actingUserId;
+    const { name, birth_date, image, timezone } = req.body;
 
-    fetchUsers = await db
-      .from("t_user_progress")
-      .select(
-        "progress_id, progress_course_id, total_poin, user_id, user:user_id(name, email), level:user_level_id(user_level_name, user_level_code)"
-      )
-      .eq("user_id", user_id);
+    // The IANA zone list is not expressible as a schema
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        error: "timezone must be an IANA timezone such as Asia/Jakarta.",
+      });
+    }
 
-    return res.status(200).json({
-      status: 200,
-      body: fetchUsers,
-    });
-  } catch (error) {
-    console.error("Error retrieving users:", error.message);
-    return res.status(500).json({
-      status: 500,
-      error: "Internal server error",
-    });
+    try {
+      const { data: users, error } = await db
+        .from("m_users")
+        .update({
+          name: name,
+          birth_date: birth_date,
+          image: image,
+          timezone: timezone,
+        })
+        .eq("user_id", user_id)
+        .select("user_id, name, email, birth_date, image, timezone");
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      return res.status(200).json({
+        message: "User updated successfully.",
+        body: users,
+      });
+    } catch (error) {
+      console.error("Error updating user:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/avatar:
+ *   post:
+ *     summary: Upload a profile image
+ *     description: Upload a JPEG, PNG or WebP image (max 5 MB). Metadata is stripped, square avatars are generated in several sizes, and the 256px one is saved as the user's image. The files of the previous upload are deleted.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       '200':
+ *         description: Profile image updated. Returns the URL of every generated size.
+ *       '400':
+ *         description: Missing file or unsupported image type.
+ *       '413':
+ *         description: File is too large.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/avatar",
+  verifyToken,
+  singleFileUpload("image", {
+    maxBytes: MAX_AVATAR_BYTES,
+    mimeTypes: AVATAR_MIME_TYPES,
+  }),
+  async (req, res) => {
+    try {
+      const variants = await processAvatar(req.file.buffer);
+
+      if (!variants) {
+        return res
+          .status(400)
+          .json({ error: "Only JPEG, PNG and WebP images are supported." });
+      }
+
+      const { data: previous, error: previousError } = await db
+        .from("m_users")
+        .select("image")
+        .eq("user_id", req.user.userId)
+        .limit(1);
+
+      if (previousError) {
+        throw previousError;
+      }
+
+      const folder = newAvatarFolder(req.user.userId);
+      const urls = {};
+      for (const { size, buffer } of variants) {
+        urls[size] = await storage.save(
+          `${folder}/${size}.webp`,
+          buffer,
+          "image/webp"
+        );
+      }
+
+      const { data: users, error } = await db
+        .from("m_users")
+        .update({ image: urls[DEFAULT_AVATAR_SIZE] })
+        .eq("user_id", req.user.userId)
+        .select("user_id, name, email, birth_date, image");
+
+      if (error) {
+        throw error;
+      }
+
+      // The old image is only deleted once the new one is saved
+      const oldFiles = avatarFilePaths(
+        previous[0] && previous[0].image,
+        req.user.userId
+      );
+      if (oldFiles.length > 0) {
+        await storage
+          .remove(oldFiles)
+          .catch((removeError) =>
+            console.error(
+              "Error removing previous profile image:",
+              removeError.message
+            )
+          );
+      }
+
+      return res.status(200).json({
+        message: "Profile image updated successfully.",
+        body: users,
+        sizes: urls,
+      });
+    } catch (error) {
+      console.error("Error uploading profile image:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Email a single-use, time-limited password reset link. The response is the same whether or not the email belongs to an account.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *             required:
+ *               - email
+ *     responses:
+ *       '200':
+ *         description: Reset link sent if the account exists.
+ *       '400':
+ *         description: Email is required.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/forgot-password",
+  validate({ body: objectSchema({ email: emailSchema }, ["email"]) }),
+  async (req, res) => {
+    const { email } = req.body;
+
+    try {
+      const { data: users, error } = await db
+        .from("m_users")
+        .select("user_id, email, password")
+        .eq("email", email)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      if (users && users.length > 0) {
+        await sendPasswordReset(users[0]);
+      }
+
+      return res.status(200).json({
+        message:
+          "If an account exists for this email, a password reset link has been sent.",
+      });
+    } catch (error) {
+      console.error("Error requesting password reset:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /api/users/signup:
+ * /api/users/reset-password:
  *   post:
- *     summary: Sign up a new user
- *     description: Register a new user in the Supabase database and authentication system.
+ *     summary: Reset a password
+ *     description: Set a new password using the token from a reset link. Every active session of the user is signed out.
  *     tags:
  *       - Users
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               name:
- *                 type: string
- *               email:
+ *               token:
  *                 type: string
  *               password:
  *                 type: string
- *               birth_date:
- *                 type: string
  *             required:
- *               - name
- *               - email
+ *               - token
  *               - password
- *               - birth_date
  *     responses:
  *       '200':
- *         description: User signed up successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *         description: Password reset successfully.
  *       '400':
- *         description: Invalid request or user already exists.
+ *         description: Missing fields, password too short, or invalid, expired or already used token.
  *       '500':
  *         description: Internal server error.
  */
-usersRouter.post("/signup", async (req, res) => {
-  const { name, email, password, birth_date } = req.body;
+usersRouter.post(
+  "/reset-password",
+  validate({
+    body: objectSchema({ token: textSchema, password: newPasswordSchema }, [
+      "token",
+      "password",
+    ]),
+  }),
+  async (req, res) => {
+    const { token, password } = req.body;
 
-  try {
-    // Check if the user already exists
-    const { data: existingUsers } = await db
-      .from("m_users")
-      .select("*")
-      .eq("email", email);
+    try {
+      const userId = readPasswordResetUserId(token);
 
-    if (existingUsers && existingUsers.length > 0) {
-      return res.status(400).json({ error: "User already exists." });
-    }
+      let user;
+      if (userId) {
+        const { data: users, error } = await db
+          .from("m_users")
+          .select("user_id, password")
+          .eq("user_id", userId)
+          .limit(1);
 
-    // Hash the password
-    const hashedPassword = await bcrypt.hash(password, 10);
+        if (error) {
+          throw error;
+        }
 
-    // Insert new user into Supabase users table
-    const { data: newUser } = await db
-      .from("m_users")
-      .insert([
-        {
-          name,
-          email,
-          password: hashedPassword,
-          birth_date,
-        },
-      ])
-      .select("user_id, name, email, birth_date, image");
+        user = users && users[0];
+      }
+
+      if (!user || !isPasswordResetTokenValid(token, user)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired password reset token." });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const { error: updateError } = await db
+        .from("m_users")
+        .update({ password: hashedPassword })
+        .eq("user_id", userId);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      // Whoever had access before the reset must sign in again
+      await revokeUserSessions(userId);
 
-    // Insert user progress using rpc
-    await db.rpc("insert_user_progress", { i_user_id: newUser[0].user_id });
+      return res.status(200).json({ message: "Password reset successfully." });
+    } catch (error) {
+      console.error("Error resetting password:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Export my data
+ *     description: Download everything stored about the signed-in user (profile, progress and sessions) as a JSON file.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       '200':
+ *         description: JSON archive of the user's data, sent as an attachment.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.get("/me/export", verifyToken, async (req, res) => {
+  try {
+    const archive = await exportUserData(req.user.userId);
 
-    return res
-      .status(200)
-      .json({ message: "User signed up successfully.", data: newUser });
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="lingopal-data-${req.user.userId}.json"`
+    );
+    return res.status(200).json(archive);
   } catch (error) {
-    console.error("Error signing up user:", error.message);
+    console.error("Error exporting user data:", error.message);
     return res.status(500).json({ error: "Internal server error." });
   }
 });
 
 /**
  * @swagger
- * /api/users/signin:
+ * /api/users/me/delete:
  *   post:
- *     summary: Sign in a user
- *     description: Authenticate a user in the Supabase authentication system.
+ *     summary: Request account deletion
+ *     description: Schedule the signed-in user's account for permanent deletion after a grace period and send a confirmation email. The user confirms with their password or, for accounts created through Google/OIDC sign in, with an ID token issued in the last 10 minutes for the linked identity.
  *     tags:
  *       - Users
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               email:
- *                 type: string
  *               password:
  *                 type: string
- *             required:
- *               - email
- *               - password
+ *               id_token:
+ *                 type: string
+ *                 description: A fresh ID token of the linked identity, instead of the password
  *     responses:
  *       '200':
- *         description: User signed in successfully.
- *       '422':
- *         description: Unauthorized, incorrect email or password.
+ *         description: Account deletion scheduled.
+ *       '400':
+ *         description: Neither a password nor an ID token was sent.
+ *       '403':
+ *         description: Incorrect password, or the ID token is invalid, too old or for another identity.
  *       '500':
  *         description: Internal server error.
  */
-usersRouter.post("/signin", async (req, res) => {
-  const { email, password } = req.body;
+usersRouter.post(
+  "/me/delete",
+  verifyToken,
+  validate({
+    body: {
+      ...objectSchema({ password: textSchema, id_token: textSchema }),
+      anyOf: [{ required: ["password"] }, { required: ["id_token"] }],
+    },
+  }),
+  async (req, res) => {
+    const { password, id_token } = req.body;
 
-  try {
-    // Fetch user data from Supabase table
-    const { data: users, error } = await db
-      .from("m_users")
-      .select("user_id, name, email, birth_date, password, image, fgVerified")
-      .eq("email", email)
-      .limit(1);
+    try {
+      const { data: users, error } = await db
+        .from("m_users")
+        .select("user_id, email, password, oidc_issuer, oidc_subject")
+        .eq("user_id", req.user.userId)
+        .limit(1);
 
-    if (error || !users || users.length === 0) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized, incorrect email or password." });
-    }
+      if (error) {
+        throw error;
+      }
 
-    const user = users[0];
+      const user = users && users[0];
+      if (!user) {
+        return res.status(403).json({ error: "Incorrect password." });
+      }
 
-    // Compare the provided password with the hashed password stored in the database
-    const passwordMatch = await bcrypt.compare(password, user.password);
+      // Accounts created through OIDC sign in have no password the user
+      // knows, so they confirm by signing in with the linked identity again
+      if (id_token) {
+        const claims = await verifyIdToken(id_token);
+        const isFresh =
+          claims && moment().unix() - claims.iat <= REAUTH_MAX_AGE_SECONDS;
 
-    if (!user.fgVerified) {
-      return res.status(402).json({
-        error: "Unauthorized, Please check your email to verify account first.",
-      });
-    }
+        if (
+          !isFresh ||
+          !user.oidc_subject ||
+          claims.iss !== user.oidc_issuer ||
+          claims.sub !== user.oidc_subject
+        ) {
+          return res.status(403).json({
+            error: "Invalid ID token. Please sign in again and retry.",
+          });
+        }
+      } else if (!(await bcrypt.compare(password, user.password))) {
+        return res.status(403).json({ error: "Incorrect password." });
+      }
 
-    if (!passwordMatch) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized, incorrect email or password." });
+      const scheduledAt = moment().add(ACCOUNT_DELETION_GRACE_DAYS, "days");
+
+      const { error: updateError } = await db
+        .from("m_users")
+        .update({
+          deletion_requested_at: new Date().toISOString(),
+          deletion_scheduled_at: scheduledAt.toISOString(),
+        })
+        .eq("user_id", user.user_id);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      await sendAccountDeletionScheduledEmail(
+        user.email,
+        scheduledAt.format("DD MMMM YYYY")
+      );
+
+      return res.status(200).json({
+        message: "Account deletion scheduled.",
+        deletion_scheduled_at: scheduledAt.toISOString(),
+      });
+    } catch (error) {
+      console.error("Error requesting account deletion:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
     }
+  }
+);
 
-    await db
+/**
+ * @swagger
+ * /api/users/me/delete/cancel:
+ *   post:
+ *     summary: Cancel account deletion
+ *     description: Cancel a pending account deletion during the grace period.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       '200':
+ *         description: Account deletion cancelled.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post("/me/delete/cancel", verifyToken, async (req, res) => {
+  try {
+    const { error } = await db
       .from("m_users")
-      .update({ user_last_login: moment(Date.now()).format("MM-DD-YYYY") })
-      .eq("email", email);
+      .update({ deletion_requested_at: null, deletion_scheduled_at: null })
+      .eq("user_id", req.user.userId);
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-      expiresIn: "168h",
-    });
+    if (error) {
+      throw error;
+    }
 
-    // Return user data and JWT token
-    return res.status(200).json({
-      message: "User signed in successfully.",
-      user: {
-        user_id: user.user_id,
-        name: user.name,
-        email: user.email,
-        birth_date: user.birth_date,
-        image: user.image,
-      },
-      token,
-    });
+    return res.status(200).json({ message: "Account deletion cancelled." });
   } catch (error) {
-    console.error("Error signing in user:", error.message);
+    console.error("Error cancelling account deletion:", error.message);
     return res.status(500).json({ error: "Internal server error." });
   }
 });
 
 /**
  * @swagger
- * /api/users/admin-signin:
- *   post:
- *     summary: Sign in an admin
- *     description: Authenticate an admin in the Supabase authentication system.
+ * /api/users/purge-deletions:
+ *   get:
+ *     summary: Purge accounts past their deletion date
+ *     description: Scheduled job (Vercel cron) that permanently deletes accounts whose grace period is over. Requires `Authorization Bearer <CRON_SECRET>`.
  *     tags:
  *       - Users
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
- *             required:
- *               - email
- *               - password
+ *     security: []
  *     responses:
  *       '200':
- *         description: Admin signed in successfully.
- *       '422':
- *         description: Unauthorized, incorrect email or password, or not an admin.
+ *         description: Number of accounts deleted and of accounts that failed and stay scheduled for the next run.
+ *       '401':
+ *         description: Invalid cron secret.
  *       '500':
  *         description: Internal server error.
  */
-usersRouter.post("/admin-signin", async (req, res) => {
-  const { email, password } = req.body;
-
+usersRouter.get("/purge-deletions", requireCronSecret, async (req, res) => {
   try {
-    // Fetch user data from Supabase table
     const { data: users, error } = await db
       .from("m_users")
-      .select("user_id, name, email, birth_date, password, image, fgAdmin")
-      .eq("email", email)
-      .limit(1);
+      .select("user_id, email")
+      .lte("deletion_scheduled_at", new Date().toISOString());
 
-    if (error || !users || users.length === 0) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized, incorrect email or password." });
-    }
-
-    const user = users[0];
-
-    // Check if the user is an admin (fgAdmin must be true)
-    if (!user.fgAdmin) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized, user is not an admin." });
+    if (error) {
+      throw error;
     }
 
-    // Compare the provided password with the hashed password stored in the database
-    const passwordMatch = await bcrypt.compare(password, user.password);
+    let failed = 0;
 
-    if (!passwordMatch) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized, incorrect email or password." });
-    }
+    for (const user of users) {
+      // The account row goes last, so a failed purge is retried next run
+      try {
+        await purgeUserData(user.user_id);
+      } catch (purgeError) {
+        failed += 1;
+        console.error(
+          `Error purging account ${user.user_id}:`,
+          purgeError.message
+        );
+        continue;
+      }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.user_id, isAdmin: true },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: "36h",
+      try {
+        await sendAccountDeletedEmail(user.email);
+      } catch (mailError) {
+        console.error("Error sending deletion email:", mailError.message);
       }
-    );
+    }
 
-    // Return admin data and JWT token
     return res.status(200).json({
-      message: "Admin signed in successfully.",
-      admin: {
-        user_id: user.user_id,
-        name: user.name,
-        email: user.email,
-        birth_date: user.birth_date,
-        image: user.image,
-        fgAdmin: user.fgAdmin,
-      },
-      token,
+      status: 200,
+      body: { deleted: users.length - failed, failed },
     });
   } catch (error) {
-    console.error("Error signing in admin:", error.message);
+    console.error("Error purging deleted accounts:", error.message);
     return res.status(500).json({ error: "Internal server error." });
   }
 });
 
 /**
  * @swagger
- * /api/users/update:
- *   post:
- *     summary: Update user information
- *     description: Update the name, and birth date of a user.
+ * /api/users/backfill-last-login:
+ *   get:
+ *     summary: Rewrite legacy last login dates as ISO timestamps
+ *     description: Scheduled job (Vercel cron) that converts up to 200 `user_last_login` values still stored as MM-DD-YYYY into ISO timestamps, so the admin list sorts them correctly. Does nothing once every row is converted. Requires `Authorization Bearer <CRON_SECRET>`.
  *     tags:
  *       - Users
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               user_id:
- *                 type: integer
- *               name:
- *                 type: string
- *               birth_date:
- *                 type: string
- *                 format: date
- *               image:
- *                 type: string
+ *     security: []
  *     responses:
  *       '200':
- *         description: User updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: User updated successfully.
- *                 body:
- *                   type: array
- *       '404':
- *         description: User not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: User not found.
+ *         description: Number of rows converted and whether legacy rows remain.
+ *       '401':
+ *         description: Invalid cron secret.
  *       '500':
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Internal server error.
+ *         description: Internal server error.
  */
-usersRouter.post("/update", verifyToken, async (req, res) => {
-  const { user_id, name, birth_date, image } = req.body;
-
+usersRouter.get("/backfill-last-login", requireCronSecret, async (req, res) => {
   try {
     const { data: users, error } = await db
       .from("m_users")
-      .update({
-        name: name,
-        birth_date: birth_date,
-        image: image,
-      })
-      .eq("user_id", user_id)
-      .select("user_id, name, email, birth_date, password, image");
+      .select("user_id, user_last_login")
+      .like("user_last_login", LEGACY_LAST_LOGIN_PATTERN)
+      .order("user_id", { ascending: true })
+      .limit(LAST_LOGIN_BACKFILL_BATCH_SIZE);
+
     if (error) {
-      return res.status(500).json({ error: error.message });
+      throw error;
     }
 
-    if (!users) {
-      return res.status(404).json({ error: "User not found." });
+    let converted = 0;
+    for (const user of users) {
+      const lastLogin = moment.utc(
+        user.user_last_login,
+        LEGACY_LAST_LOGIN_FORMAT,
+        true
+      );
+
+      // Values that only look like the old format are cleared rather than
+      // left to be picked up again on every run
+      const { error: updateError } = await db
+        .from("m_users")
+        .update({
+          user_last_login: lastLogin.isValid() ? lastLogin.toISOString() : null,
+        })
+        .eq("user_id", user.user_id);
+
+      if (updateError) {
+        throw updateError;
+      }
+      converted += 1;
     }
 
     return res.status(200).json({
-      message: "User updated successfully.",
-      body: users,
+      status: 200,
+      body: {
+        converted,
+        has_more: users.length === LAST_LOGIN_BACKFILL_BATCH_SIZE,
+      },
     });
   } catch (error) {
-    console.error("Error updating user:", error.message);
+    console.error("Error backfilling last logins:", error.message);
     return res.status(500).json({ error: "Internal server error." });
   }
 });
 
-// /**
-//  * @swagger
-//  * /api/users/{id}:
-//  *   delete:
-//  *     summary: Delete a user
-//  *     description: Delete a user from the Supabase database by ID.
-//  *     tags:
-//  *       - Users
-//  *     parameters:
-//  *       - in: path
-//  *         name: id
-//  *         required: true
-//  *         description: ID of the user to delete
-//  *         schema:
-//  *           type: string
-//  *     responses:
-//  *       '200':
-//  *         description: User deleted successfully.
-//  *       '404':
-//  *         description: User not found.
-//  *       '500':
-//  *         description: Internal server error.
-//  */
-// usersRouter.delete("/:id", verifyToken, async (req, res) => {
-//   const userId = req.params.id;
-
-//   try {
-//     // Delete the user from the Supabase database
-//     const { error } = await db.from("m_users").delete().eq("user_id", userId);
-
-//     if (error) {
-//       return res.status(500).json({ error: error.message });
-//     }
-//     return res.status(200).json({ message: "User deleted successfully." });
-//   } catch (error) {
-//     console.error("Error deleting user:", error.message);
-//     return res.status(500).json({ error: "Internal server error." });
-//   }
-// });
-
-usersRouter.get("/verify-account", async (req, res) => {
-  const { email } = req.query;
+/**
+ * @swagger
+ * /api/users/verify-account:
+ *   get:
+ *     summary: Verify an account
+ *     description: Verify the email of an account using the signed token from the verification email, then redirect to the CMS.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '302':
+ *         description: Account verified, redirecting to the success page.
+ *       '400':
+ *         description: Invalid or expired verification token.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.get(
+  "/verify-account",
+  validate({ query: objectSchema({ token: textSchema }, ["token"]) }),
+  async (req, res) => {
+    const { token } = req.query;
+
+    const claims = verifyEmailVerificationToken(token);
+    if (!claims) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link." });
+    }
 
-  try {
-    const { error, data } = await db
-      .from("m_users")
-      .update({ fgVerified: true })
-      .eq("email", email);
+    try {
+      const { error, data } = await db
+        .from("m_users")
+        .update({ fgVerified: true })
+        .eq("user_id", claims.userId)
+        .eq("email", claims.email)
+        .select("user_id");
 
-    if (error) {
+      if (error) {
+        return res
+          .status(500)
+          .json({ message: "Failed to verified the account!" });
+      }
+
+      if (data.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired verification link." });
+      }
+
+      // return res.status(200).json({ message: "Account has beeen verified" });
       return res
-        .status(500)
-        .json({ message: "Failed to verified the account!" });
+        .status(200)
+        .redirect("https://lingopal-cms.vercel.app/success-verified");
+    } catch (error) {
+      return res.status(500).json({ error: "Internal server error." });
     }
+  }
+);
 
-    // return res.status(200).json({ message: "Account has beeen verified" });
-    return res
-      .status(200)
-      .redirect("https://lingopal-cms.vercel.app/success-verified");
-  } catch (error) {
-    return res.status(500).json({ error: "Internal server error." });
+/**
+ * @swagger
+ * /api/users/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Send a new verification link to an unverified account. Requests within the cooldown are ignored, and the response is the same whether or not the email belongs to an unverified account.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *             required:
+ *               - email
+ *     responses:
+ *       '200':
+ *         description: Verification email sent if the account exists and is not verified.
+ *       '400':
+ *         description: Email is required.
+ *       '500':
+ *         description: Internal server error.
+ */
+usersRouter.post(
+  "/resend-verification",
+  validate({ body: objectSchema({ email: emailSchema }, ["email"]) }),
+  async (req, res) => {
+    const { email } = req.body;
+
+    try {
+      const { data: users, error } = await db
+        .from("m_users")
+        .select("user_id, email, fgVerified, verification_sent_at")
+        .eq("email", email)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      const user = users && users[0];
+      const coolingDown =
+        user &&
+        user.verification_sent_at &&
+        moment().diff(moment(user.verification_sent_at), "seconds") <
+          RESEND_VERIFICATION_COOLDOWN_SECONDS;
+
+      if (user && !user.fgVerified && !coolingDown) {
+        await sendAccountVerification(req, user);
+      }
+
+      return res.status(200).json({
+        message:
+          "If this account exists and is not verified yet, a verification email has been sent.",
+      });
+    } catch (error) {
+      console.error("Error resending verification email:", error.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
   }
-});
+);
 
 export default usersRouter;
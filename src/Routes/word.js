@@ -1,38 +1,524 @@
 import express from "express";
 import { config as dotenvConfig } from "dotenv";
 import { createClient } from "@supabase/supabase-js";
-import { verifyToken } from "./helpers/middleware.js";
+import { verifyToken, requirePermission } from "./helpers/middleware.js";
+import { PERMISSIONS } from "./helpers/roles.js";
+import { awardBadges } from "./helpers/badges.js";
+import { recordXpEvent, XP_SOURCES } from "./helpers/xp.js";
+import {
+  CEFR_LEVELS,
+  PARTS_OF_SPEECH,
+  WORD_SUMMARY_COLUMNS,
+  WORD_DETAIL_COLUMNS,
+  normalizeWordEntry,
+} from "./helpers/dictionary.js";
+import {
+  MIN_GRADE,
+  MAX_GRADE,
+  newCard,
+  scheduleReview,
+  MATURE_INTERVAL_DAYS,
+} from "./helpers/srs.js";
+import { loadLocalToday } from "./helpers/streak.js";
+import {
+  validate,
+  defineSchema,
+  objectSchema,
+  idSchema,
+} from "./helpers/validation.js";
 
 dotenvConfig();
 const wordsRouter = express.Router();
 
 const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+const MAX_PAGE_SIZE = 100;
+const MAX_IMPORT_SIZE = 1000;
+
+const CARD_COLUMNS =
+  "card_id, word_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at, word:word_id(word, alphabet)";
+
+const countRows = async (query) => {
+  const { count, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+const wordIdParams = objectSchema({ word_id: idSchema }, ["word_id"]);
+const optionalTextSchema = { type: "string", nullable: true };
+// Only the shape is checked here; normalizeWordEntry normalizes the values
+const WORD_ENTRY_PROPERTIES = {
+  word: { type: "string" },
+  definition: optionalTextSchema,
+  part_of_speech: {
+    ...optionalTextSchema,
+    description: `One of ${PARTS_OF_SPEECH.join(", ")}.`,
+  },
+  examples: { type: "array", items: { type: "string" }, nullable: true },
+  ipa: optionalTextSchema,
+  cefr_level: {
+    ...optionalTextSchema,
+    description: `One of ${CEFR_LEVELS.join(", ")}.`,
+  },
+  translation_indonesian: optionalTextSchema,
+};
+const WordEntry = defineSchema(
+  "WordEntry",
+  objectSchema(WORD_ENTRY_PROPERTIES, ["word"])
+);
+
 /**
  * @swagger
  * /api/word:
  *   get:
  *     summary: Retrieve a list of words
- *     description: Retrieve a list of words from the database.
+ *     description: Retrieve dictionary words, optionally filtered by alphabet, CEFR level or prefix. Results are paginated when `page` or `page_size` is given.
  *     tags:
  *      - Word
+ *     parameters:
+ *       - in: query
+ *         name: alphabet
+ *         schema:
+ *           type: string
+ *         description: First letter of the word
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [A1, A2, B1, B2, C1, C2]
+ *         description: CEFR level
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Prefix search on the word
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           maximum: 100
  *     responses:
  *       '200':
- *         description: A JSON array of words.
+ *         description: A JSON array of words, plus pagination info when paginated.
  *         content:
  *           application/json:
  *             schema:
  *               type: array
+ *       '400':
+ *         description: Invalid level or paging parameters.
+ */
+wordsRouter.get(
+  "/",
+  verifyToken,
+  validate({
+    query: objectSchema({
+      alphabet: { type: "string" },
+      level: { type: "string", enum: CEFR_LEVELS },
+      q: { type: "string" },
+      page: { type: "integer", minimum: 1 },
+      page_size: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { alphabet, level, q, page, page_size } = req.query;
+
+      let query = db
+        .from("m_word")
+        .select(WORD_SUMMARY_COLUMNS, { count: "exact" })
+        .order("word", { ascending: true });
+
+      if (alphabet) {
+        query = query.eq("alphabet", String(alphabet).toUpperCase());
+      }
+
+      if (level) {
+        query = query.eq("cefr_level", level);
+      }
+
+      if (q) {
+        // Escape LIKE wildcards so the search is a literal prefix
+        query = query.ilike("word", `${String(q).replace(/[\\%_]/g, "\\$&")}%`);
+      }
+
+      // Without paging parameters the whole list is returned, as before
+      const paginated = page !== undefined || page_size !== undefined;
+      const currentPage = page || 1;
+      const pageSize = page_size || 20;
+
+      if (paginated) {
+        const from = (currentPage - 1) * pageSize;
+        query = query.range(from, from + pageSize - 1);
+      }
+
+      const { data: words, count, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: words,
+        ...(paginated && {
+          pagination: {
+            page: currentPage,
+            page_size: pageSize,
+            total: count || 0,
+            total_pages: Math.ceil((count || 0) / pageSize),
+          },
+        }),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/deck:
+ *   post:
+ *     summary: Add words to my review deck
+ *     description: Add words to the signed-in user's spaced-repetition deck. Words already in the deck are left as they are.
+ *     tags:
+ *      - Word
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               word_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *             required:
+ *               - word_ids
+ *     responses:
+ *       '200':
+ *         description: The cards that were added.
+ *       '400':
+ *         description: word_ids is missing or contains unknown words.
+ *       '500':
+ *         description: Internal server error
+ */
+wordsRouter.post(
+  "/deck",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      { word_ids: { type: "array", items: idSchema, minItems: 1 } },
+      ["word_ids"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { word_ids } = req.body;
+
+      const { data: words, error: wordsError } = await db
+        .from("m_word")
+        .select("word_id")
+        .in("word_id", word_ids);
+
+      if (wordsError) {
+        throw wordsError;
+      }
+
+      if (words.length !== new Set(word_ids.map(String)).size) {
+        return res.status(400).json({
+          status: 400,
+          error: "'word_ids' contains unknown words",
+        });
+      }
+
+      const { data: cards, error } = await db
+        .from("t_user_word_card")
+        .upsert(
+          words.map(({ word_id }) => ({
+            user_id: req.user.userId,
+            word_id,
+            ...newCard(),
+          })),
+          { onConflict: "user_id,word_id", ignoreDuplicates: true }
+        )
+        .select(CARD_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: cards,
+      });
+    } catch (error) {
+      console.error("Error adding words to deck:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/deck/due:
+ *   get:
+ *     summary: Cards due today
+ *     description: The signed-in user's cards that are due for review by the end of today in their profile timezone, most overdue first.
+ *     tags:
+ *      - Word
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       '200':
+ *         description: A JSON array of due cards with their word.
+ *       '400':
+ *         description: limit is not an integer from 1 to 100.
+ *       '500':
+ *         description: Internal server error
+ */
+wordsRouter.get(
+  "/deck/due",
+  verifyToken,
+  validate({
+    query: objectSchema({
+      limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const today = await loadLocalToday(req.user.userId);
+
+      const { data: cards, error } = await db
+        .from("t_user_word_card")
+        .select(CARD_COLUMNS)
+        .eq("user_id", req.user.userId)
+        .lt("due_at", today.end.toISOString())
+        .order("due_at", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: cards,
+      });
+    } catch (error) {
+      console.error("Error retrieving due cards:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/deck/review:
+ *   post:
+ *     summary: Submit a recall grade
+ *     description: Grade how well a card was recalled (0 = forgot, 5 = perfect) and schedule its next review with SM-2.
+ *     tags:
+ *      - Word
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               card_id:
+ *                 type: integer
+ *               grade:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 5
+ *             required:
+ *               - card_id
+ *               - grade
+ *     responses:
+ *       '200':
+ *         description: The rescheduled card.
+ *       '400':
+ *         description: Missing card_id or a grade outside 0 to 5.
+ *       '404':
+ *         description: Card not found.
+ *       '500':
+ *         description: Internal server error
+ */
+wordsRouter.post(
+  "/deck/review",
+  verifyToken,
+  validate({
+    body: objectSchema(
+      {
+        card_id: idSchema,
+        grade: { type: "integer", minimum: MIN_GRADE, maximum: MAX_GRADE },
+      },
+      ["card_id", "grade"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { card_id, grade } = req.body;
+
+      const { data: cards, error } = await db
+        .from("t_user_word_card")
+        .select(CARD_COLUMNS)
+        .eq("card_id", card_id)
+        .eq("user_id", req.user.userId)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      if (cards.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          error: "Card not found",
+        });
+      }
+
+      const now = new Date();
+
+      const { data: updated, error: updateError } = await db
+        .from("t_user_word_card")
+        .update(scheduleReview(cards[0], grade, now))
+        .eq("card_id", card_id)
+        .select(CARD_COLUMNS);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      const { error: logError } = await db.from("t_user_word_review").insert({
+        user_id: req.user.userId,
+        card_id,
+        word_id: cards[0].word_id,
+        grade,
+        reviewed_at: now.toISOString(),
+      });
+
+      if (logError) {
+        throw logError;
+      }
+
+      // Reviews earn no XP but count as a day of study for the streak
+      await recordXpEvent(req.user.userId, {
+        source: XP_SOURCES.REVIEW,
+        amount: 0,
+        referenceId: card_id,
+      });
+
+      return res.status(200).json({
+        status: 200,
+        body: updated[0],
+        unlocked_badges: await awardBadges(req.user.userId),
+      });
+    } catch (error) {
+      console.error("Error reviewing card:", error.message);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/deck/stats:
+ *   get:
+ *     summary: Deck statistics
+ *     description: Counts of new, learning and mature cards, cards due today, total lapses and reviews done today. Today is the user's local day in their profile timezone.
+ *     tags:
+ *      - Word
+ *     responses:
+ *       '200':
+ *         description: The deck statistics.
+ *       '500':
+ *         description: Internal server error
  */
-wordsRouter.get("/", verifyToken, async (req, res) => {
+wordsRouter.get("/deck/stats", verifyToken, async (req, res) => {
   try {
-    let { data: words } = await db.from("m_word").select("word, alphabet");
+    const userId = req.user.userId;
+    const today = await loadLocalToday(userId);
+    const cards = () =>
+      db
+        .from("t_user_word_card")
+        .select("card_id", { count: "exact", head: true })
+        .eq("user_id", userId);
+
+    // Counted in the database, so large decks are never read row by row.
+    // Card states follow cardState in srs.js.
+    const [total, fresh, mature, dueToday, reviewsToday, lapsed] =
+      await Promise.all([
+        countRows(cards()),
+        countRows(cards().is("last_reviewed_at", null)),
+        countRows(
+          cards()
+            .not("last_reviewed_at", "is", null)
+            .gte("interval_days", MATURE_INTERVAL_DAYS)
+        ),
+        countRows(cards().lt("due_at", today.end.toISOString())),
+        countRows(
+          db
+            .from("t_user_word_review")
+            .select("card_id", { count: "exact", head: true })
+            .eq("user_id", userId)
+            .gte("reviewed_at", today.start.toISOString())
+        ),
+        // Summed by a PostgREST aggregate, which yields null without cards
+        db
+          .from("t_user_word_card")
+          .select("lapses.sum()")
+          .eq("user_id", userId),
+      ]);
+
+    if (lapsed.error) {
+      throw lapsed.error;
+    }
+
+    const stats = {
+      total,
+      new: fresh,
+      learning: total - fresh - mature,
+      mature,
+      due_today: dueToday,
+      lapses: Number(lapsed.data[0]?.sum) || 0,
+      reviews_today: reviewsToday,
+    };
 
     return res.status(200).json({
       status: 200,
-      body: words,
+      body: stats,
     });
   } catch (error) {
+    console.error("Error retrieving deck stats:", error.message);
     return res.status(500).json({
       status: 500,
       error: "Internal server error",
@@ -40,4 +526,349 @@ wordsRouter.get("/", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/word/{word_id}:
+ *   get:
+ *     summary: Retrieve a word
+ *     description: Full dictionary entry of a word, with definition, examples, IPA, CEFR level and Indonesian translation.
+ *     tags:
+ *      - Word
+ *     parameters:
+ *       - in: path
+ *         name: word_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The dictionary entry.
+ *       '400':
+ *         description: word_id is not a positive integer.
+ *       '404':
+ *         description: Word not found.
+ *       '500':
+ *         description: Internal server error
+ */
+wordsRouter.get(
+  "/:word_id",
+  verifyToken,
+  validate({ params: wordIdParams }),
+  async (req, res) => {
+    try {
+      const { data: words, error } = await db
+        .from("m_word")
+        .select(WORD_DETAIL_COLUMNS)
+        .eq("word_id", req.params.word_id)
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      if (words.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          error: "Word not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: words[0],
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/admin/create:
+ *   post:
+ *     summary: Create a dictionary entry
+ *     tags:
+ *      - Word
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WordEntry'
+ *     responses:
+ *       '200':
+ *         description: Word created successfully.
+ *       '400':
+ *         description: Invalid entry, with field-level errors.
+ *       '401':
+ *         description: Missing, invalid or expired token.
+ *       '403':
+ *         description: The user is not allowed to manage content.
+ *       '500':
+ *         description: Internal Server Error
+ */
+wordsRouter.post(
+  "/admin/create",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ body: WordEntry }),
+  async (req, res) => {
+    try {
+      const { entry, errors } = normalizeWordEntry(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ status: 400, errors });
+      }
+
+      const { data, error } = await db
+        .from("m_word")
+        .insert([entry])
+        .select(WORD_DETAIL_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Word created successfully",
+        data: data,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/admin/update:
+ *   put:
+ *     summary: Update a dictionary entry
+ *     description: Update the given fields of a word.
+ *     tags:
+ *      - Word
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WordEntry'
+ *               - type: object
+ *                 properties:
+ *                   word_id:
+ *                     type: integer
+ *                 required:
+ *                   - word_id
+ *     responses:
+ *       '200':
+ *         description: Word updated successfully.
+ *       '400':
+ *         description: Missing word_id or invalid fields.
+ *       '404':
+ *         description: Word not found.
+ *       '500':
+ *         description: Internal Server Error
+ */
+wordsRouter.put(
+  "/admin/update",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    body: objectSchema({ word_id: idSchema, ...WORD_ENTRY_PROPERTIES }, [
+      "word_id",
+    ]),
+  }),
+  async (req, res) => {
+    try {
+      const { word_id } = req.body;
+      const { entry, errors } = normalizeWordEntry(req.body, {
+        partial: true,
+      });
+
+      if (errors.length > 0) {
+        return res.status(400).json({ status: 400, errors });
+      }
+
+      const { data, error } = await db
+        .from("m_word")
+        .update(entry)
+        .eq("word_id", word_id)
+        .select(WORD_DETAIL_COLUMNS);
+
+      if (error) {
+        throw error;
+      }
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          status: 404,
+          message: "Word not found",
+        });
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Word updated successfully",
+        data: data,
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/admin/delete/{word_id}:
+ *   delete:
+ *     summary: Delete a dictionary entry
+ *     tags:
+ *      - Word
+ *     parameters:
+ *       - in: path
+ *         name: word_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Word deleted successfully.
+ *       '400':
+ *         description: word_id is not a positive integer.
+ *       '500':
+ *         description: Internal Server Error
+ */
+wordsRouter.delete(
+  "/admin/delete/:word_id",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({ params: wordIdParams }),
+  async (req, res) => {
+    try {
+      const { error } = await db
+        .from("m_word")
+        .delete()
+        .eq("word_id", req.params.word_id);
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ message: "Word deleted successfully." });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/word/admin/import:
+ *   post:
+ *     summary: Bulk import dictionary entries
+ *     description: Create or update up to 1000 words at once, matched by `word`. Nothing is written if any entry is invalid.
+ *     tags:
+ *      - Word
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               words:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WordEntry'
+ *     responses:
+ *       '200':
+ *         description: Number of words imported.
+ *       '400':
+ *         description: Invalid entries, listed by index with their field errors.
+ *       '500':
+ *         description: Internal Server Error
+ */
+wordsRouter.post(
+  "/admin/import",
+  verifyToken,
+  requirePermission(PERMISSIONS.CONTENT_MANAGE),
+  validate({
+    body: objectSchema(
+      {
+        words: {
+          type: "array",
+          items: WordEntry,
+          minItems: 1,
+          maxItems: MAX_IMPORT_SIZE,
+        },
+      },
+      ["words"]
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { words } = req.body;
+
+      const entries = [];
+      const rowErrors = [];
+      const seen = new Set();
+
+      words.forEach((input, index) => {
+        const { entry, errors } = normalizeWordEntry(input);
+        const key = entry.word && entry.word.toLowerCase();
+
+        if (key && seen.has(key)) {
+          errors.push({ field: "word", message: "duplicate word in import" });
+        }
+        seen.add(key);
+
+        if (errors.length > 0) {
+          rowErrors.push({ index, errors });
+        } else {
+          entries.push(entry);
+        }
+      });
+
+      if (rowErrors.length > 0) {
+        return res.status(400).json({ status: 400, errors: rowErrors });
+      }
+
+      const { data, error } = await db
+        .from("m_word")
+        .upsert(entries, { onConflict: "word" })
+        .select("word_id");
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        message: "Words imported successfully",
+        data: { imported: data.length },
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        message: "Internal Server Error",
+      });
+    }
+  }
+);
+
 export default wordsRouter;
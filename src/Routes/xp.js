@@ -0,0 +1,264 @@
+import express from "express";
+import moment from "moment";
+import { config as dotenvConfig } from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { verifyToken } from "./helpers/middleware.js";
+import { loadStreak, localDay } from "./helpers/streak.js";
+import { fetchAllRows } from "./helpers/paging.js";
+import { validate, objectSchema } from "./helpers/validation.js";
+
+dotenvConfig();
+const xpRouter = express.Router();
+
+const db = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const XP_EVENT_COLUMNS =
+  "xp_event_id, source, amount, reference_id, created_at";
+const MAX_HISTORY_DAYS = 90;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @swagger
+ * /api/xp/streak:
+ *   get:
+ *     summary: Retrieve my streak
+ *     description: Current and longest daily streak, counted in the user's timezone. Every learning activity counts, including reviews and practice that earn no XP. Missed days are covered by streak freezes when enough are available; one freeze is earned every 7 streak days (max 2). Freezes are spent when the next activity is recorded; until then the covered days already count as frozen.
+ *     tags:
+ *      - XP
+ *     responses:
+ *       '200':
+ *         description: Streak status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 current_streak:
+ *                   type: integer
+ *                 longest_streak:
+ *                   type: integer
+ *                 is_active_today:
+ *                   type: boolean
+ *                 freezes_available:
+ *                   type: integer
+ *                 timezone:
+ *                   type: string
+ *       '500':
+ *         description: Internal server error
+ */
+xpRouter.get("/streak", verifyToken, async (req, res) => {
+  try {
+    const streak = await loadStreak(req.user.userId);
+
+    return res.status(200).json({
+      status: 200,
+      body: streak,
+    });
+  } catch (error) {
+    console.error("Error fetching streak:", error);
+    return res.status(500).json({
+      status: 500,
+      error: "Internal server error",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/xp/history:
+ *   get:
+ *     summary: Retrieve my daily XP
+ *     description: XP per day for the last `days` days (in the user's timezone, oldest first, days without XP included as 0), with totals per source. Meant for charts such as "XP this week".
+ *     tags:
+ *      - XP
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           maximum: 90
+ *     responses:
+ *       '200':
+ *         description: Daily XP and totals.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       xp:
+ *                         type: integer
+ *                 by_source:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *       '400':
+ *         description: days is not an integer from 1 to 90.
+ *       '500':
+ *         description: Internal server error
+ */
+xpRouter.get(
+  "/history",
+  verifyToken,
+  validate({
+    query: objectSchema({
+      days: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_HISTORY_DAYS,
+        default: 7,
+      },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { days } = req.query;
+      const { timezone } = await loadStreak(req.user.userId);
+
+      const today = localDay(new Date(), timezone);
+      const dates = Array.from({ length: days }, (value, index) =>
+        moment
+          .utc(today, "YYYY-MM-DD")
+          .subtract(days - 1 - index, "days")
+          .format("YYYY-MM-DD")
+      );
+
+      // One extra day covers every timezone offset, out of range days are dropped
+      const events = await fetchAllRows(() =>
+        db
+          .from("t_xp_event")
+          .select("source, amount, created_at")
+          .eq("user_id", req.user.userId)
+          .gt("amount", 0)
+          .gte(
+            "created_at",
+            moment.utc(dates[0], "YYYY-MM-DD").subtract(1, "day").toISOString()
+          )
+          .order("created_at", { ascending: false })
+      );
+
+      const xpByDay = new Map(dates.map((date) => [date, 0]));
+      const bySource = {};
+      let total = 0;
+
+      events.forEach((event) => {
+        const day = localDay(event.created_at, timezone);
+
+        if (xpByDay.has(day)) {
+          xpByDay.set(day, xpByDay.get(day) + event.amount);
+          bySource[event.source] = (bySource[event.source] || 0) + event.amount;
+          total += event.amount;
+        }
+      });
+
+      return res.status(200).json({
+        status: 200,
+        body: {
+          days: dates.map((date) => ({ date, xp: xpByDay.get(date) })),
+          by_source: bySource,
+          total,
+          timezone,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching XP history:", error);
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/xp/events:
+ *   get:
+ *     summary: Retrieve my XP ledger
+ *     description: Every XP event of the signed-in user, newest first.
+ *     tags:
+ *      - XP
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: A page of XP events.
+ *       '400':
+ *         description: Invalid page or page_size.
+ *       '500':
+ *         description: Internal server error
+ */
+xpRouter.get(
+  "/events",
+  verifyToken,
+  validate({
+    query: objectSchema({
+      page: { type: "integer", minimum: 1, default: 1 },
+      page_size: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_PAGE_SIZE,
+        default: 20,
+      },
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const { page, page_size: pageSize } = req.query;
+      const from = (page - 1) * pageSize;
+
+      const {
+        data: events,
+        count,
+        error,
+      } = await db
+        .from("t_xp_event")
+        .select(XP_EVENT_COLUMNS, { count: "exact" })
+        .eq("user_id", req.user.userId)
+        // Activity that earned nothing only counts towards the streak
+        .gt("amount", 0)
+        .order("created_at", { ascending: false })
+        .range(from, from + pageSize - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        status: 200,
+        body: events,
+        pagination: {
+          page,
+          page_size: pageSize,
+          total: count || 0,
+          total_pages: Math.ceil((count || 0) / pageSize),
+        },
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: 500,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+export default xpRouter;
@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  COURSE_STATES,
+  computeCourseMap,
+} from "../src/Routes/helpers/courseUnlock.js";
+
+// Level ids deliberately out of order with the levels themselves
+const levels = [
+  { user_level_id: 5, min_poin: 0 },
+  { user_level_id: 2, min_poin: 100 },
+  { user_level_id: 9, min_poin: 300 },
+];
+
+const courses = [
+  { course_id: 1, course_name: "Basics", min_poin: 0, user_level_id: 5 },
+  { course_id: 2, course_name: "Travel", min_poin: 0, user_level_id: 2 },
+  { course_id: 3, course_name: "Business", min_poin: 200, user_level_id: null },
+];
+
+const stateOf = (courseMap, courseId) =>
+  courseMap.find((course) => course.course_id === courseId).state;
+
+const reasonsOf = (courseMap, courseId) =>
+  courseMap
+    .find((course) => course.course_id === courseId)
+    .locked_reasons.map((reason) => reason.type);
+
+const mapFor = (userProgress, courseProgress = [], prerequisites = []) =>
+  computeCourseMap({
+    courses,
+    prerequisites,
+    levels,
+    userProgress,
+    courseProgress,
+  });
+
+describe("computeCourseMap", () => {
+  it("locks courses above the user's level or points", () => {
+    const courseMap = mapFor({ total_poin: 0, user_level_id: 5 });
+
+    assert.equal(stateOf(courseMap, 1), COURSE_STATES.UNLOCKED);
+    assert.equal(stateOf(courseMap, 2), COURSE_STATES.LOCKED);
+    assert.deepEqual(reasonsOf(courseMap, 2), ["level"]);
+    assert.deepEqual(reasonsOf(courseMap, 3), ["points"]);
+  });
+
+  it("ranks levels by min_poin, not by id", () => {
+    const beginner = mapFor({ total_poin: 0, user_level_id: 5 });
+    assert.equal(stateOf(beginner, 1), COURSE_STATES.UNLOCKED);
+    assert.equal(stateOf(beginner, 2), COURSE_STATES.LOCKED);
+
+    const intermediate = mapFor({ total_poin: 0, user_level_id: 2 });
+    assert.equal(stateOf(intermediate, 2), COURSE_STATES.UNLOCKED);
+  });
+
+  it("locks every course of a user without progress that has requirements", () => {
+    const courseMap = mapFor(null);
+
+    assert.equal(stateOf(courseMap, 1), COURSE_STATES.LOCKED);
+    assert.equal(stateOf(courseMap, 3), COURSE_STATES.LOCKED);
+  });
+
+  it("keeps a course unlocked once it was unlocked", () => {
+    const courseMap = mapFor({ total_poin: 0, user_level_id: 5 }, [
+      { course_id: 3, is_course_completed: false, unlocked_at: "2026-01-01" },
+    ]);
+
+    assert.equal(stateOf(courseMap, 3), COURSE_STATES.UNLOCKED);
+    assert.deepEqual(reasonsOf(courseMap, 3), []);
+  });
+
+  it("does not unlock a course just because a progress row exists", () => {
+    const courseMap = mapFor({ total_poin: 0, user_level_id: 5 }, [
+      { course_id: 3, is_course_completed: false, unlocked_at: null },
+    ]);
+
+    assert.equal(stateOf(courseMap, 3), COURSE_STATES.LOCKED);
+    assert.deepEqual(reasonsOf(courseMap, 3), ["points"]);
+  });
+
+  it("locks a course until its prerequisites are completed", () => {
+    const prerequisites = [{ course_id: 1, prerequisite_course_id: 3 }];
+
+    const locked = mapFor(
+      { total_poin: 500, user_level_id: 9 },
+      [],
+      prerequisites
+    );
+    assert.equal(stateOf(locked, 1), COURSE_STATES.LOCKED);
+    assert.equal(
+      locked.find((course) => course.course_id === 1).locked_reasons[0].message,
+      "Complete Business first"
+    );
+
+    const unlocked = mapFor(
+      { total_poin: 500, user_level_id: 9 },
+      [{ course_id: 3, is_course_completed: true, unlocked_at: "2026-01-01" }],
+      prerequisites
+    );
+    assert.equal(stateOf(unlocked, 1), COURSE_STATES.UNLOCKED);
+    assert.equal(stateOf(unlocked, 3), COURSE_STATES.COMPLETED);
+  });
+});
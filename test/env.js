@@ -0,0 +1,4 @@
+// Route helpers create their Supabase client on import. Tests only use the
+// in-memory stores, so any URL and key will do.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost";
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || "test";
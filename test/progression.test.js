@@ -0,0 +1,200 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createProgressionService } from "../src/Routes/helpers/progression.js";
+import { createMemoryProgressionStore } from "../src/Routes/helpers/progressionStore.js";
+
+const USER_ID = 7;
+
+const seed = () => ({
+  m_user_level: [
+    { user_level_id: 1, min_poin: 0 },
+    { user_level_id: 3, min_poin: 300 },
+    { user_level_id: 2, min_poin: 100 },
+  ],
+  m_course: [{ course_id: 1 }, { course_id: 2 }],
+  m_practice: [
+    { practice_id: 11, course_id: 1 },
+    { practice_id: 12, course_id: 1 },
+    { practice_id: 21, course_id: 2 },
+  ],
+});
+
+const setup = (tables = seed()) => {
+  const store = createMemoryProgressionStore(tables);
+  return { store, progression: createProgressionService(store) };
+};
+
+// A store whose writes to failingTable throw, to exercise rollback
+const failingOn = (store, failingTable) => ({
+  ...store,
+  async update(table, filters, changes) {
+    if (table === failingTable) {
+      throw new Error(`update of ${table} failed`);
+    }
+    return store.update(table, filters, changes);
+  },
+});
+
+describe("progression", () => {
+  describe("point aggregation", () => {
+    it("sums practice points into the course and the user total", async () => {
+      const { progression } = setup();
+
+      await progression.recordPracticeProgress(USER_ID, 11, {
+        progress_poin: 40,
+      });
+      await progression.recordPracticeProgress(USER_ID, 21, {
+        progress_poin: 15,
+      });
+      const result = await progression.recordPracticeProgress(USER_ID, 12, {
+        progress_poin: 30,
+      });
+
+      assert.equal(result.poin_gained, 30);
+      assert.equal(result.course_progress.progress_poin, 70);
+      assert.equal(result.user_progress.total_poin, 85);
+    });
+
+    it("keeps the best score with keepBest", async () => {
+      const { progression } = setup();
+
+      await progression.recordPracticeProgress(
+        USER_ID,
+        11,
+        { progress_poin: 40, is_passed: true },
+        { keepBest: true }
+      );
+      const result = await progression.recordPracticeProgress(
+        USER_ID,
+        11,
+        { progress_poin: 10, is_passed: false },
+        { keepBest: true }
+      );
+
+      assert.equal(result.poin_gained, 0);
+      assert.equal(result.practice_progress.progress_poin, 40);
+      assert.equal(result.practice_progress.is_passed, true);
+      assert.equal(result.user_progress.total_poin, 40);
+    });
+
+    it("returns null for an unknown practice", async () => {
+      const { progression, store } = setup();
+
+      const result = await progression.recordPracticeProgress(USER_ID, 99, {
+        progress_poin: 10,
+      });
+
+      assert.equal(result, null);
+      assert.deepEqual(store.tables.t_user_practice_progress || [], []);
+    });
+  });
+
+  describe("course completion", () => {
+    it("completes a course once every practice is passed", async () => {
+      const { progression } = setup();
+
+      const first = await progression.recordPracticeProgress(USER_ID, 11, {
+        progress_poin: 10,
+        is_passed: true,
+      });
+      assert.equal(first.course_progress.is_course_completed, false);
+
+      const second = await progression.recordPracticeProgress(USER_ID, 12, {
+        progress_poin: 10,
+        is_passed: true,
+      });
+      assert.equal(second.course_progress.is_course_completed, true);
+    });
+
+    it("keeps a completed course completed when a practice is reset", async () => {
+      const { progression } = setup();
+
+      await progression.recordPracticeProgress(USER_ID, 11, {
+        is_passed: true,
+      });
+      await progression.recordPracticeProgress(USER_ID, 12, {
+        is_passed: true,
+      });
+      const result = await progression.recordPracticeProgress(USER_ID, 12, {
+        is_passed: false,
+      });
+
+      assert.equal(result.course_progress.is_course_completed, true);
+    });
+  });
+
+  describe("levels", () => {
+    it("starts a new user at the lowest level", async () => {
+      const { progression } = setup();
+
+      const userProgress = await progression.initializeUser(USER_ID);
+
+      assert.equal(userProgress.user_level_id, 1);
+      assert.equal(userProgress.total_poin, 0);
+    });
+
+    it("levels up to the highest level the total reaches", async () => {
+      const { progression } = setup();
+
+      const result = await progression.recordPracticeProgress(USER_ID, 11, {
+        progress_poin: 120,
+      });
+      assert.equal(result.user_progress.user_level_id, 2);
+
+      const next = await progression.recordPracticeProgress(USER_ID, 21, {
+        progress_poin: 200,
+      });
+      assert.equal(next.user_progress.user_level_id, 3);
+    });
+
+    it("never lowers a placed level", async () => {
+      const { progression } = setup();
+
+      await progression.applyPlacement(USER_ID, 3, [1]);
+      const result = await progression.recordPracticeProgress(USER_ID, 11, {
+        progress_poin: 10,
+      });
+
+      assert.equal(result.user_progress.user_level_id, 3);
+    });
+  });
+
+  describe("rollback", () => {
+    it("undoes every write when a step throws", async () => {
+      const tables = seed();
+      const store = createMemoryProgressionStore(tables);
+      const progression = createProgressionService(
+        failingOn(store, "t_user_progress")
+      );
+
+      await assert.rejects(
+        progression.recordPracticeProgress(USER_ID, 11, {
+          progress_poin: 40,
+          is_passed: true,
+        }),
+        /update of t_user_progress failed/
+      );
+
+      assert.deepEqual(store.tables.t_user_practice_progress, []);
+      assert.deepEqual(store.tables.t_user_course_progress, []);
+      assert.deepEqual(store.tables.t_user_progress, []);
+    });
+
+    it("restores updated rows to their old values", async () => {
+      const { store, progression } = setup();
+      await progression.recordPracticeProgress(USER_ID, 11, {
+        progress_poin: 40,
+      });
+      const before = JSON.parse(JSON.stringify(store.tables));
+
+      const failing = createProgressionService(
+        failingOn(store, "t_user_progress")
+      );
+      await assert.rejects(
+        failing.recordPracticeProgress(USER_ID, 11, { progress_poin: 90 })
+      );
+
+      assert.deepEqual(store.tables, before);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { gradeQuiz } from "../src/Routes/helpers/quizGrading.js";
+import {
+  analyzeQuizItems,
+  summarizeAttempts,
+} from "../src/Routes/helpers/quizAnalytics.js";
+
+const quiz = {
+  quiz_id: 1,
+  question: "Pick the fruit",
+  answer_key: "apple",
+  choices: ["apple", "chair", "table"],
+};
+
+// The author later fixes the choices and the key
+const edited = {
+  ...quiz,
+  answer_key: "banana",
+  choices: ["banana", "chair", "table"],
+};
+
+// Attempt scores decide the upper and lower groups
+const attempts = [
+  { attempt_id: 1, user_id: 1, score: 100, is_passed: true },
+  { attempt_id: 2, user_id: 2, score: 90, is_passed: true },
+  { attempt_id: 3, user_id: 3, score: 40, is_passed: false },
+  { attempt_id: 4, user_id: 3, score: 20, is_passed: false },
+];
+
+const answer = (attempt_id, value) => ({
+  attempt_id,
+  quiz_id: 1,
+  answer: value,
+  is_correct: value === "apple",
+});
+
+const answerRows = (graded, attemptId, value) =>
+  gradeQuiz(
+    [graded],
+    [{ quiz_id: graded.quiz_id, answer: value }],
+    {}
+  ).results.map((result) => ({ attempt_id: attemptId, ...result }));
+
+describe("analyzeQuizItems", () => {
+  it("reports how often the question and each choice were answered", () => {
+    const [item] = analyzeQuizItems([quiz], attempts, [
+      answer(1, "apple"),
+      answer(2, "apple"),
+      answer(3, "chair"),
+      answer(4, "chair"),
+    ]);
+
+    assert.equal(item.attempt_count, 4);
+    assert.equal(item.correct_count, 2);
+    assert.equal(item.percent_correct, 0.5);
+    assert.equal(item.discrimination_index, 1);
+    assert.deepEqual(
+      item.choices.map(({ choice, is_answer_key, count }) => [
+        choice,
+        is_answer_key,
+        count,
+      ]),
+      [
+        ["apple", true, 2],
+        ["chair", false, 2],
+        ["table", false, 0],
+      ]
+    );
+    assert.ok(item.flags.includes("weak_distractor"));
+  });
+
+  it("flags a key that learners agree on less than another choice", () => {
+    const [item] = analyzeQuizItems([quiz], attempts, [
+      answer(1, "chair"),
+      answer(2, "chair"),
+      answer(3, "chair"),
+      answer(4, "apple"),
+    ]);
+
+    assert.ok(item.flags.includes("possible_wrong_answer_key"));
+    assert.ok(item.flags.includes("too_hard"));
+    assert.ok(item.flags.includes("negative_discrimination"));
+  });
+
+  it("flags an answer key missing from the choices", () => {
+    const [item] = analyzeQuizItems(
+      [{ ...quiz, answer_key: "banana" }],
+      attempts,
+      [answer(1, "apple")]
+    );
+
+    assert.ok(item.flags.includes("answer_key_not_in_choices"));
+  });
+
+  it("has no statistics for an unanswered question", () => {
+    const [item] = analyzeQuizItems([quiz], [], []);
+
+    assert.equal(item.percent_correct, null);
+    assert.equal(item.discrimination_index, null);
+    assert.deepEqual(item.flags, []);
+  });
+
+  it("only counts answers graded against the current answer key", () => {
+    const answers = [
+      ...answerRows(quiz, 1, "apple"),
+      ...answerRows(quiz, 2, "apple"),
+      ...answerRows(edited, 3, "chair"),
+    ];
+
+    const [item] = analyzeQuizItems([edited], attempts, answers);
+
+    assert.equal(item.attempt_count, 1);
+    assert.equal(item.correct_count, 0);
+    assert.equal(item.outdated_answer_count, 2);
+    assert.deepEqual(
+      item.choices.map((choice) => choice.count),
+      [0, 1, 0]
+    );
+  });
+
+  it("matches snapshots whatever their key order", () => {
+    const [item] = analyzeQuizItems([quiz], attempts, [
+      {
+        ...answer(1, "apple"),
+        // jsonb returns object keys in its own order
+        answer_key_snapshot: {
+          choices: quiz.choices,
+          answer_key: quiz.answer_key,
+        },
+      },
+    ]);
+
+    assert.equal(item.attempt_count, 1);
+    assert.equal(item.outdated_answer_count, 0);
+  });
+});
+
+describe("summarizeAttempts", () => {
+  it("summarizes scores, learners and the pass rate", () => {
+    const summary = summarizeAttempts(attempts);
+
+    assert.equal(summary.attempt_count, 4);
+    assert.equal(summary.learner_count, 3);
+    assert.equal(summary.average_score, 62.5);
+    assert.equal(summary.median_score, 65);
+    assert.equal(summary.pass_rate, 0.5);
+  });
+
+  it("has no averages without attempts", () => {
+    const summary = summarizeAttempts([]);
+
+    assert.equal(summary.average_score, null);
+    assert.equal(summary.median_score, null);
+    assert.equal(summary.pass_rate, null);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ATTEMPT_GRACE_SECONDS,
+  seededRandom,
+  requiresAttempt,
+  drawAttemptQuizIds,
+  presentAttempt,
+  attemptExpiresAt,
+  isAttemptExpired,
+} from "../src/Routes/helpers/quizAttempts.js";
+
+const pool = Array.from({ length: 10 }, (_, index) => ({
+  quiz_id: index + 1,
+  type: "multiple_choice",
+  question: `Question ${index + 1}`,
+  answer_key: "a",
+  choices: ["a", "b", "c", "d"],
+}));
+
+describe("seeded draws", () => {
+  it("gives the same numbers for the same seed", () => {
+    const first = seededRandom(42);
+    const second = seededRandom(42);
+
+    const numbers = Array.from({ length: 5 }, () => first());
+    assert.deepEqual(
+      numbers,
+      Array.from({ length: 5 }, () => second())
+    );
+    assert.ok(numbers.every((n) => n >= 0 && n < 1));
+  });
+
+  it("draws the same questions for a seed whatever the pool order", () => {
+    const draw = drawAttemptQuizIds(pool, 7, 4);
+
+    assert.equal(draw.length, 4);
+    assert.deepEqual(drawAttemptQuizIds([...pool].reverse(), 7, 4), draw);
+    assert.equal(new Set(draw).size, 4);
+  });
+
+  it("uses the whole pool without a draw count", () => {
+    const draw = drawAttemptQuizIds(pool, 7);
+
+    assert.deepEqual(
+      [...draw].sort((a, b) => a - b),
+      pool.map((quiz) => quiz.quiz_id)
+    );
+  });
+});
+
+describe("presentAttempt", () => {
+  const attempt = { seed: 99, quiz_ids: [3, 1, 42] };
+
+  it("lists the drawn quizzes in order without their answer keys", () => {
+    const quizzes = presentAttempt(attempt, pool);
+
+    assert.deepEqual(
+      quizzes.map((quiz) => quiz.quiz_id),
+      [3, 1]
+    );
+    assert.ok(quizzes.every((quiz) => quiz.answer_key === undefined));
+  });
+
+  it("shuffles choices the same way every time", () => {
+    const first = presentAttempt(attempt, pool);
+    const again = presentAttempt(attempt, [...pool].reverse());
+
+    assert.deepEqual(first, again);
+    assert.deepEqual([...first[0].choices].sort(), ["a", "b", "c", "d"]);
+  });
+
+  it("keeps true or false in its usual order", () => {
+    const trueFalse = {
+      quiz_id: 5,
+      type: "true_false",
+      question: "The sky is blue",
+      answer_key: "true",
+      choices: ["true", "false"],
+    };
+
+    const [quiz] = presentAttempt({ seed: 1, quiz_ids: [5] }, [trueFalse]);
+
+    assert.deepEqual(quiz.choices, ["true", "false"]);
+  });
+});
+
+describe("attempt settings and time limits", () => {
+  it("requires an attempt when questions are drawn or timed", () => {
+    assert.equal(requiresAttempt({ quiz_draw_count: 5 }), true);
+    assert.equal(requiresAttempt({ quiz_time_limit_seconds: 60 }), true);
+    assert.equal(
+      requiresAttempt({ quiz_draw_count: null, quiz_time_limit_seconds: null }),
+      false
+    );
+  });
+
+  it("expires after the time limit and the grace period", () => {
+    const startedAt = new Date("2026-01-01T00:00:00Z");
+    const expiresAt = attemptExpiresAt(startedAt, 60);
+    const at = (seconds) => new Date(startedAt.getTime() + seconds * 1000);
+
+    assert.equal(expiresAt, "2026-01-01T00:01:00.000Z");
+    assert.equal(attemptExpiresAt(startedAt, null), null);
+    assert.equal(
+      isAttemptExpired(
+        { expires_at: expiresAt },
+        at(60 + ATTEMPT_GRACE_SECONDS)
+      ),
+      false
+    );
+    assert.equal(
+      isAttemptExpired(
+        { expires_at: expiresAt },
+        at(61 + ATTEMPT_GRACE_SECONDS)
+      ),
+      true
+    );
+    assert.equal(isAttemptExpired({ expires_at: null }, at(10000)), false);
+  });
+});
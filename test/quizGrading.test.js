@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PASSING_SCORE, gradeQuiz } from "../src/Routes/helpers/quizGrading.js";
+
+const quizzes = [
+  { quiz_id: 1, answer_key: "Apple", choices: ["Apple", "Chair"] },
+  { quiz_id: 2, answer_key: "run", choices: ["run", "ran"] },
+  { quiz_id: 3, answer_key: "blue", choices: ["red", "blue"] },
+];
+
+describe("gradeQuiz", () => {
+  it("compares answers ignoring case and surrounding spaces", () => {
+    const grade = gradeQuiz(quizzes, [
+      { quiz_id: 1, answer: "  apple " },
+      { quiz_id: 2, answer: "RUN" },
+      { quiz_id: 3, answer: "red" },
+    ]);
+
+    assert.deepEqual(
+      grade.results.map((result) => result.is_correct),
+      [true, true, false]
+    );
+    assert.equal(grade.correct_count, 2);
+    assert.equal(grade.total_count, 3);
+    assert.equal(grade.score, 67);
+  });
+
+  it("counts unanswered quizzes as wrong", () => {
+    const grade = gradeQuiz(quizzes, [{ quiz_id: 1, answer: "apple" }]);
+
+    assert.equal(grade.results[1].answer, null);
+    assert.equal(grade.results[1].is_correct, false);
+    assert.equal(grade.score, 33);
+  });
+
+  it("passes at the passing score", () => {
+    const all = gradeQuiz(
+      quizzes,
+      quizzes.map((quiz) => ({
+        quiz_id: quiz.quiz_id,
+        answer: quiz.answer_key,
+      }))
+    );
+
+    assert.equal(all.score, 100);
+    assert.equal(all.is_passed, true);
+    assert.equal(gradeQuiz(quizzes, []).is_passed, 0 >= PASSING_SCORE);
+  });
+
+  it("scores an empty practice as 0", () => {
+    const grade = gradeQuiz([], []);
+
+    assert.equal(grade.score, 0);
+    assert.equal(grade.total_count, 0);
+  });
+});
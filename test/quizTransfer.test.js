@@ -0,0 +1,203 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeQuiz } from "../src/Routes/helpers/quizTypes.js";
+import {
+  QUIZ_FILE_FORMATS,
+  MAX_IMPORT_LISTENING_ROWS,
+  fileFormat,
+  parseQuizFile,
+  validateQuizRows,
+  exportQuizFile,
+} from "../src/Routes/helpers/quizTransfer.js";
+
+const parseCsv = (text) =>
+  parseQuizFile(Buffer.from(text), QUIZ_FILE_FORMATS.CSV);
+
+const validate = (rows, existingQuizzes = []) =>
+  validateQuizRows(rows, {
+    defaultPracticeId: 1,
+    practiceIds: new Set(["1", "2"]),
+    existingQuizzes,
+  });
+
+const question = (fields = {}) => ({
+  question: "Pick one",
+  answer_key: "a",
+  choices: ["a", "b"],
+  ...fields,
+});
+
+describe("quiz files", () => {
+  it("detects JSON by mime type or extension", () => {
+    assert.equal(
+      fileFormat({ mimetype: "application/json", originalname: "q" }),
+      QUIZ_FILE_FORMATS.JSON
+    );
+    assert.equal(
+      fileFormat({ mimetype: "text/plain", originalname: "quizzes.JSON" }),
+      QUIZ_FILE_FORMATS.JSON
+    );
+    assert.equal(
+      fileFormat({ mimetype: "text/csv", originalname: "quizzes.csv" }),
+      QUIZ_FILE_FORMATS.CSV
+    );
+  });
+
+  it("reads list and pair cells of a CSV file", () => {
+    const [choiceRow, matchingRow] = parseCsv(
+      [
+        "practice_id,type,question,answer_key,choices,pairs",
+        "2,multiple_choice,Pick one,a,a | b|c,",
+        ",matching,Match them,,,cat=kucing|dog=anjing",
+      ].join("\n")
+    );
+
+    assert.equal(choiceRow.practice_id, 2);
+    assert.deepEqual(choiceRow.choices, ["a", "b", "c"]);
+    assert.equal(matchingRow.practice_id, undefined);
+    assert.deepEqual(matchingRow.pairs, [
+      { left: "cat", right: "kucing" },
+      { left: "dog", right: "anjing" },
+    ]);
+  });
+
+  it("reads a JSON array or a { quizzes } object", () => {
+    const rows = [question()];
+
+    assert.deepEqual(
+      parseQuizFile(Buffer.from(JSON.stringify(rows)), QUIZ_FILE_FORMATS.JSON),
+      rows
+    );
+    assert.deepEqual(
+      parseQuizFile(
+        Buffer.from(JSON.stringify({ quizzes: rows })),
+        QUIZ_FILE_FORMATS.JSON
+      ),
+      rows
+    );
+  });
+
+  it("reads escaped separators as part of the value", () => {
+    const [row] = parseCsv(
+      [
+        "type,question,answer_key,choices,pairs",
+        "matching,Match them,,,a\\=b=c\\|d|e=f\\\\",
+      ].join("\n")
+    );
+
+    assert.deepEqual(row.pairs, [
+      { left: "a=b", right: "c|d" },
+      { left: "e", right: "f\\" },
+    ]);
+  });
+
+  it("returns null for a file that cannot be read", () => {
+    assert.equal(
+      parseQuizFile(Buffer.from("{ not json"), QUIZ_FILE_FORMATS.JSON),
+      null
+    );
+    assert.equal(
+      parseQuizFile(Buffer.from('{"quizzes": 1}'), QUIZ_FILE_FORMATS.JSON),
+      null
+    );
+  });
+
+  it("exports quizzes in the format it imports", () => {
+    const { quiz } = normalizeQuiz({ practice_id: 1, ...question() });
+
+    const [row] = parseCsv(exportQuizFile([quiz], QUIZ_FILE_FORMATS.CSV));
+
+    assert.equal(row.practice_id, 1);
+    assert.equal(row.question, "Pick one");
+    assert.deepEqual(row.choices, ["a", "b"]);
+  });
+
+  it("exports values with separators so they import unchanged", () => {
+    const { quiz } = normalizeQuiz({
+      practice_id: 1,
+      question: "Pick one",
+      answer_key: "x|y",
+      choices: ["x|y", "a=b", "back\\slash"],
+    });
+
+    const [row] = parseCsv(exportQuizFile([quiz], QUIZ_FILE_FORMATS.CSV));
+
+    assert.deepEqual(row.choices, ["x|y", "a=b", "back\\slash"]);
+    assert.equal(row.answer_key, "x|y");
+  });
+});
+
+describe("validateQuizRows", () => {
+  it("sends rows without practice_id to the default practice", () => {
+    const { report, quizzes } = validate([question()]);
+
+    assert.deepEqual(report, [{ row: 1, status: "valid", errors: [] }]);
+    assert.equal(quizzes[0].practice_id, 1);
+  });
+
+  it("reports practices that do not exist", () => {
+    const { report, quizzes } = validate([question({ practice_id: 9 })]);
+
+    assert.equal(quizzes.length, 0);
+    assert.equal(report[0].status, "invalid");
+    assert.equal(report[0].errors[0].field, "practice_id");
+  });
+
+  it("reports duplicates in the practice and in the file", () => {
+    const { quiz: existing } = normalizeQuiz({ practice_id: 1, ...question() });
+
+    const { report } = validate(
+      [
+        question({ question: "pick ONE" }),
+        question({ question: "Another" }),
+        question({ question: "Another" }),
+      ],
+      [existing]
+    );
+
+    assert.deepEqual(
+      report.map((row) => row.status),
+      ["invalid", "valid", "invalid"]
+    );
+    assert.equal(report[0].errors[0].message, "duplicate quiz");
+  });
+
+  it("reports the field errors of invalid rows", () => {
+    const { report } = validate([{ question: "" }, "not a row"]);
+
+    assert.ok(report.every((row) => row.status === "invalid"));
+    assert.ok(report[0].errors.some((error) => error.field === "question"));
+  });
+
+  it("reports a practice_id that is not a number", () => {
+    const [row] = parseCsv(
+      ["practice_id,question,answer_key,choices", "abc,Pick,a,a|b"].join("\n")
+    );
+
+    const { report, quizzes } = validate([row]);
+
+    assert.equal(quizzes.length, 0);
+    assert.deepEqual(report[0].errors, [
+      {
+        field: "practice_id",
+        message: "practice_id must be a positive integer",
+      },
+    ]);
+  });
+
+  it("caps the listening quizzes of one import", () => {
+    const rows = Array.from(
+      { length: MAX_IMPORT_LISTENING_ROWS + 1 },
+      (_, index) => ({
+        type: "listening",
+        question: "What did you hear?",
+        transcript: `Sentence ${index}`,
+      })
+    );
+
+    const { report } = validate(rows);
+
+    assert.equal(report.filter((row) => row.status === "invalid").length, 1);
+    assert.equal(report[MAX_IMPORT_LISTENING_ROWS].errors[0].field, "type");
+  });
+});